@@ -0,0 +1,114 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import crypto from 'crypto';
+
+const DEFAULT_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+// Google access tokens are valid for at most 1 hour.
+const TOKEN_DURATION = 3600;
+
+function base64urlEncode(str) {
+  return Buffer.from(str).toString('base64url');
+}
+
+function createJWTHeaderAndPayload(serviceAccount, scope, subject) {
+  const now = Math.floor(Date.now() / 1000);
+
+  const header = {
+    alg: 'RS256',
+    typ: 'JWT',
+    kid: serviceAccount.private_key_id,
+  };
+
+  const payload = {
+    iss: serviceAccount.client_email,
+    scope,
+    aud: serviceAccount.token_uri || DEFAULT_TOKEN_URL,
+    iat: now,
+    exp: now + TOKEN_DURATION,
+    ...(subject && { sub: subject }),
+  };
+
+  return { header, payload };
+}
+
+/**
+ * Parse the base64-encoded JSON key of the service account.
+ * @param {string} base64key
+ * @returns {Object} The service account key, with its client email and private key.
+ */
+function parseServiceAccountKey(base64key) {
+  let serviceAccount;
+  try {
+    serviceAccount = JSON.parse(Buffer.from(base64key, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new Error(`The key is not a base64-encoded JSON service account key: ${error.message}`);
+  }
+  if (serviceAccount.type !== 'service_account' || !serviceAccount.client_email || !serviceAccount.private_key) {
+    throw new Error('The key is not a service account key (it needs a type of service_account, a client_email and a private_key).');
+  }
+  return serviceAccount;
+}
+
+/**
+ * Get an access token for Google Drive for a service account.
+ * @returns {Promise<void>}
+ */
+export async function run() {
+  const base64key = core.getInput('key');
+  const subject = core.getInput('subject');
+  const scope = core.getInput('scope') || 'https://www.googleapis.com/auth/drive';
+
+  try {
+    const serviceAccount = parseServiceAccountKey(base64key);
+    core.info(`Getting data for "${serviceAccount.client_email}"${subject ? ` on behalf of ${subject}` : ''}. The token is valid for ${TOKEN_DURATION} seconds.`);
+    core.setOutput('client_email', serviceAccount.client_email);
+
+    // Create JWT
+    const { header, payload } = createJWTHeaderAndPayload(serviceAccount, scope, subject);
+    const encodedHeader = base64urlEncode(JSON.stringify(header));
+    const encodedPayload = base64urlEncode(JSON.stringify(payload));
+    const unsignedToken = `${encodedHeader}.${encodedPayload}`;
+
+    // Sign token
+    const sign = crypto.createSign('RSA-SHA256');
+    sign.update(unsignedToken, 'utf8');
+    const signature = sign.sign(serviceAccount.private_key, 'base64url');
+    const assertion = `${unsignedToken}.${signature}`;
+    core.info('Token has been signed.');
+
+    const data = new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion,
+    }).toString();
+
+    const response = await fetch(payload.aud, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+      body: data,
+    });
+    if (!response.ok) {
+      const errorText = await response.text();
+      core.warning(`Failed to fetch token: ${response.status} ${errorText}`);
+    } else {
+      const responseJson = await response.json();
+      core.setOutput('access_token', responseJson.access_token);
+    }
+  } catch (error) {
+    core.warning(`Failed to extract access token: ${error.message}`);
+  }
+}
+
+await run();
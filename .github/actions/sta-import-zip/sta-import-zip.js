@@ -14,12 +14,39 @@ import core from '@actions/core';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import { Readable } from 'stream';
-import { pipeline } from 'stream/promises';
-import unzipper from 'unzipper';
+import { pipeline } from 'stream';
+import { finished } from 'stream/promises';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+  createChecksumStream,
+  downloadFile,
+  formatSize,
+  getSidecarChecksum,
+  openDownloadStream,
+  parseChecksum,
+  verifyChecksum,
+} from './zip-download.js';
+import {
+  createEntryFilter,
+  expandNestedArchives,
+  extractArchive,
+  extractArchiveStream,
+} from './zip-extract.js';
+import { detectArchiveFormat } from './zip-formats.js';
+import { getSummaryMessage, writeManifest } from './zip-manifest.js';
 
 const CONTENT_DIR_NAME = 'contents';
+const QUARANTINE_DIR_NAME = 'quarantine';
 const ZIP_NAME = 'import.zip';
+const MANIFEST_NAME = 'manifest.json';
+
+const UNSAFE_ENTRY_POLICIES = ['reject', 'quarantine'];
+const DEFAULT_ALLOWED_SOURCES = '*spacecat*';
+const DEFAULT_ALLOWED_SCHEMES = 'https';
+const DEFAULT_MAX_RETRIES = '5';
+const DEFAULT_MAX_ZIP_SIZE_MB = '20480';
+const DEFAULT_MAX_UNCOMPRESSED_SIZE_MB = '51200';
+const DEFAULT_MAX_COMPRESSION_RATIO = '100';
 
 /**
  * Create a temporary directory, with a 'contents' directory in it.
@@ -38,104 +65,292 @@ function createTempDirectory() {
 }
 
 /**
- * Fetch a zip file from a URL and save it to a specified directory.
- * @param {string} downloadUrl - The URL of the zip file to download.
- * @param {string} zipDestination - The full file path where the zip file will be saved.
- * @returns {Promise<string>} - The path to the saved zip file.
+ * Split a comma-separated input into its trimmed, non-empty values.
+ * @param {string} value
+ * @returns {string[]}
  */
-async function fetchZip(downloadUrl, zipDestination) {
-  const response = await fetch(downloadUrl);
-  if (!response.ok) {
-    throw new Error(`Failed to download zip. Check if the url expired and try again. Contact support if the problem persists. ${response.status} ${response.statusText}`);
-  }
+function parseListInput(value) {
+  return value.split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+}
+
+/**
+ * Check if a host matches a host pattern, where '*' matches any sequence of characters.
+ * @param {string} host
+ * @param {string} pattern i.e. '*.amazonaws.com' or 'importer.example.com'
+ * @returns {boolean}
+ */
+function hostMatches(host, pattern) {
+  const regex = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}$`, 'i').test(host);
+}
 
+/**
+ * Determine where the zip comes from and ensure the source is allowed.  A source
+ * without a scheme is a local path and, like a 'file://' url, requires the 'file'
+ * scheme to be allowed.
+ * @param {string} downloadUrl The url or local path of the zip.
+ * @param {string[]} allowedSchemes i.e. ['https', 'file']
+ * @param {string[]} allowedSources Host patterns for remote urls.
+ * @returns {{url: URL}|{localPath: string}}
+ */
+function getZipSource(downloadUrl, allowedSchemes, allowedSources) {
+  const hasScheme = /^[a-z][a-z\d+.-]*:/i.test(downloadUrl);
+  let url;
   try {
-    const fileStream = fs.createWriteStream(zipDestination);
-    const nodeStream = Readable.fromWeb(response.body);
+    url = hasScheme ? new URL(downloadUrl) : pathToFileURL(path.resolve(downloadUrl));
+  } catch (error) {
+    throw new Error(`Invalid download url: ${error.message}`);
+  }
+
+  const scheme = url.protocol.slice(0, -1);
+  if (!allowedSchemes.includes(scheme)) {
+    throw new Error(`Invalid download url: the '${scheme}' scheme is not allowed. Allowed schemes: ${allowedSchemes.join(', ')}.`);
+  }
+
+  if (scheme === 'file') {
+    const localPath = fileURLToPath(url);
+    if (!fs.existsSync(localPath) || !fs.statSync(localPath).isFile()) {
+      throw new Error(`Local zip file not found: ${localPath}`);
+    }
+    return { localPath };
+  }
+
+  if (!allowedSources.some((pattern) => hostMatches(url.hostname, pattern))) {
+    throw new Error(`Invalid download url: the host '${url.hostname}' is not allowed. Allowed sources: ${allowedSources.join(', ')}.`);
+  }
+  return { url };
+}
 
-    await pipeline(nodeStream, fileStream);
+/**
+ * Get the format of the Import zip, which may also be a (compressed) tar.
+ * @param {string} zipPath
+ * @returns {string} One of ARCHIVE_FORMATS.
+ */
+function getArchiveFormat(zipPath) {
+  const format = detectArchiveFormat(zipPath);
+  if (!format) {
+    throw new Error(`${zipPath} is not a zip, tar or tar.gz archive.`);
+  }
+  return format;
+}
 
-    // Validate zip file (will throw exception if invalid)
-    const directory = await unzipper.Open.file(zipDestination);
+/**
+ * Fetch a zip file from a URL and save it to a specified directory.
+ * @param {string|URL} downloadUrl - The URL of the zip file to download.
+ * @param {string} zipDestination - The full file path where the zip file will be saved.
+ * @param {{maxRetries: number, maxSize: number}} downloadOptions - Retry and size limits.
+ * @returns {Promise<string>} - The format of the downloaded archive.
+ */
+async function fetchZip(downloadUrl, zipDestination, downloadOptions) {
+  try {
+    const size = await downloadFile(downloadUrl, zipDestination, downloadOptions);
+    const format = getArchiveFormat(zipDestination);
 
-    core.info(`✅ Downloaded Import zip to ${zipDestination} with ${directory.files.length} files.`);
+    core.info(`✅ Downloaded Import zip (${formatSize(size)}, ${format}) to ${zipDestination}.`);
+    return format;
   } catch (error) {
     throw new Error(`Failed to download zip: ${error.message || error}`);
   }
 }
 
 /**
- * Unzip one file at a time.
- * @param {string} zipPath
+ * Extract the Import zip while it is downloaded (or read, if it is local), so it is
+ * never stored as a whole and the zip is only read once.  The checksum, if any, is
+ * computed along the way and verified once the whole zip was read.
+ * @param {{url: URL}|{localPath: string}} source The zip source.
  * @param {string} contentsDir
- * @returns {Promise<void>}
+ * @param {Object} extractOptions The extraction options (see extractArchive).
+ * @param {{maxRetries: number, maxSize: number}} downloadOptions - Retry and size limits.
+ * @param {{algorithm: string, digest: string}} [expectedChecksum]
+ * @param {Array<{path: string, reason: string}>} rejectedEntries
+ * @returns {Promise<{extractedFiles: number, skippedFiles: number}>}
  */
-async function extractZip(zipPath, contentsDir) {
-  let totalFiles = -1;
+async function streamZip(
+  source,
+  contentsDir,
+  extractOptions,
+  downloadOptions,
+  expectedChecksum,
+  rejectedEntries,
+) {
+  let input;
   try {
-    const directory = await unzipper.Open.file(zipPath);
-    totalFiles = directory.files.length;
-    let extractedFiles = 0;
-    let nextProgress = 20;
-    for (const entry of directory.files) {
-      const fullPath = path.join(contentsDir, entry.path);
-      if (entry.type === 'Directory') {
-        fs.mkdirSync(fullPath, { recursive: true });
-      } else {
-        await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
-        const writable = fs.createWriteStream(fullPath);
-        await new Promise((resolve, reject) => {
-          entry.stream()
-            .pipe(writable)
-            .on('finish', resolve)
-            .on('error', reject);
-        });
-      }
-
-      extractedFiles += 1;
-      const progress = Math.floor((extractedFiles / totalFiles) * 100);
-      if (progress >= nextProgress) {
-        core.info(`⏳ Extraction progress: ${progress}% (${extractedFiles}/${totalFiles} files)`);
-        nextProgress += 20;
-      }
-    }
+    input = source.localPath
+      ? fs.createReadStream(source.localPath)
+      : await openDownloadStream(source.url, downloadOptions);
   } catch (error) {
-    throw new Error(`Failed to extract zip: ${error.message || error}`);
+    throw new Error(`Failed to download zip: ${error.message || error}`);
   }
 
-  core.info(`✅ Import zip extracted to: ${contentsDir}`);
+  let checksum;
+  if (expectedChecksum) {
+    checksum = createChecksumStream(expectedChecksum);
+    // A failed download fails the checksum stream, and so the extraction reading it.
+    input = pipeline(input, checksum.stream, (error) => {
+      if (error) {
+        checksum.stream.destroy(error);
+      }
+    });
+  }
+  const { format, ...result } = await extractArchiveStream(
+    input,
+    contentsDir,
+    extractOptions,
+    rejectedEntries,
+  );
+  if (checksum) {
+    // The archive may end before the stream does (i.e. padding), so read it all.
+    await finished(checksum.stream.resume());
+    checksum.verify();
+  }
+  core.info(`✅ Streamed Import zip (${format}).`);
 
-  return totalFiles;
+  return result;
 }
 
 /**
- * Create a temporary directory, download the Import zip to it and
- * extract it to a 'contents' folder in the temp directory.
+ * Create a temporary directory, download the Import zip to it (or use the local
+ * zip as is) and extract it to a 'contents' folder in the temp directory.  In
+ * streaming mode, the zip is extracted while it is downloaded instead.
  * @returns {Promise<void>}
  */
 export async function run() {
   let zipDestination;
+  const rejectedEntries = [];
+  const nestedArchives = [];
   try {
     const downloadUrl = core.getInput('download_url');
-    if (!downloadUrl.includes('spacecat')) {
-      throw new Error(`Invalid download url: ${downloadUrl}`);
+    const allowedSources = parseListInput(core.getInput('allowed_sources') || DEFAULT_ALLOWED_SOURCES);
+    const allowedSchemes = parseListInput(core.getInput('allowed_schemes') || DEFAULT_ALLOWED_SCHEMES)
+      .map((scheme) => scheme.toLowerCase());
+    const checksum = core.getInput('checksum');
+    const maxRetries = parseInt(core.getInput('max_retries') || DEFAULT_MAX_RETRIES, 10);
+    const maxSizeMb = parseInt(core.getInput('max_zip_size_mb') || DEFAULT_MAX_ZIP_SIZE_MB, 10);
+    if (Number.isNaN(maxRetries) || maxRetries < 0 || Number.isNaN(maxSizeMb) || maxSizeMb < 0) {
+      throw new Error(`Invalid download limits: max_retries ${core.getInput('max_retries')}, max_zip_size_mb ${core.getInput('max_zip_size_mb')}`);
+    }
+    const maxSize = maxSizeMb * 1024 * 1024;
+    const unsafeEntryPolicy = core.getInput('unsafe_entry_policy') || 'reject';
+    if (!UNSAFE_ENTRY_POLICIES.includes(unsafeEntryPolicy)) {
+      throw new Error(`Invalid unsafe entry policy: ${unsafeEntryPolicy}. Supported policies are: ${UNSAFE_ENTRY_POLICIES.join(', ')}.`);
+    }
+    const maxRejected = parseInt(core.getInput('max_rejected_entries') || '0', 10);
+    if (Number.isNaN(maxRejected) || maxRejected < 0) {
+      throw new Error(`Invalid max rejected entries: ${core.getInput('max_rejected_entries')}`);
+    }
+
+    const maxUncompressedMb = parseInt(core.getInput('max_uncompressed_size_mb') || DEFAULT_MAX_UNCOMPRESSED_SIZE_MB, 10);
+    const maxRatio = parseInt(core.getInput('max_compression_ratio') || DEFAULT_MAX_COMPRESSION_RATIO, 10);
+    if (Number.isNaN(maxUncompressedMb) || maxUncompressedMb < 0
+      || Number.isNaN(maxRatio) || maxRatio < 0) {
+      throw new Error(`Invalid extraction limits: max_uncompressed_size_mb ${core.getInput('max_uncompressed_size_mb')}, max_compression_ratio ${core.getInput('max_compression_ratio')}`);
     }
-    // eslint-disable-next-line no-new
-    new URL(downloadUrl);
+
+    const streaming = core.getInput('streaming') === 'true';
+    const expandNested = core.getInput('expand_nested_archives') === 'true';
+    const include = parseListInput(core.getInput('include'));
+    const exclude = parseListInput(core.getInput('exclude'));
+    const isSelected = include.length > 0 || exclude.length > 0
+      ? createEntryFilter(include, exclude)
+      : undefined;
+
+    const source = getZipSource(downloadUrl, allowedSchemes, allowedSources);
 
     const tempDir = createTempDirectory();
-    zipDestination = path.join(tempDir, ZIP_NAME);
     const contentsDir = path.join(tempDir, CONTENT_DIR_NAME);
-    await fetchZip(downloadUrl, zipDestination);
-    const fileCount = await extractZip(zipDestination, contentsDir);
+    const quarantineDir = path.join(tempDir, QUARANTINE_DIR_NAME);
+    const checksumUrl = core.getInput('checksum_url');
+    const expectedChecksum = checksum === 'sidecar'
+      ? await getSidecarChecksum(
+        source,
+        checksumUrl ? getZipSource(checksumUrl, allowedSchemes, allowedSources) : undefined,
+      )
+      : checksum && parseChecksum(checksum);
+    const extractOptions = {
+      policy: unsafeEntryPolicy,
+      maxRejected,
+      quarantineDir,
+      limits: {
+        maxSize: maxUncompressedMb * 1024 * 1024,
+        maxRatio,
+        usage: { bytes: 0 },
+      },
+    };
+
+    let extractedFiles;
+    let skippedFiles;
+    if (streaming) {
+      if (source.localPath && maxSize && fs.statSync(source.localPath).size > maxSize) {
+        throw new Error(`The local zip is larger than the maximum of ${formatSize(maxSize)}.`);
+      }
+      ({ extractedFiles, skippedFiles } = await streamZip(
+        source,
+        contentsDir,
+        { ...extractOptions, isSelected },
+        { maxRetries, maxSize },
+        expectedChecksum,
+        rejectedEntries,
+      ));
+    } else {
+      let zipPath;
+      let format;
+      if (source.localPath) {
+        // Extract a local zip in place, leaving it untouched.
+        zipPath = source.localPath;
+        if (maxSize && fs.statSync(zipPath).size > maxSize) {
+          throw new Error(`The local zip is larger than the maximum of ${formatSize(maxSize)}.`);
+        }
+        try {
+          format = getArchiveFormat(zipPath);
+          core.info(`✅ Using local Import zip ${zipPath} (${format}).`);
+        } catch (error) {
+          throw new Error(`Invalid local zip: ${error.message || error}`);
+        }
+      } else {
+        zipDestination = path.join(tempDir, ZIP_NAME);
+        zipPath = zipDestination;
+        format = await fetchZip(source.url, zipDestination, { maxRetries, maxSize });
+      }
+      if (expectedChecksum) {
+        await verifyChecksum(zipPath, expectedChecksum);
+      }
+      ({ extractedFiles, skippedFiles } = await extractArchive(
+        zipPath,
+        format,
+        contentsDir,
+        { ...extractOptions, isSelected },
+        rejectedEntries,
+      ));
+    }
+    if (expandNested) {
+      nestedArchives.push(...await expandNestedArchives(
+        contentsDir,
+        extractOptions,
+        rejectedEntries,
+      ));
+    }
+    const manifestPath = path.join(tempDir, MANIFEST_NAME);
+    const summary = await writeManifest(contentsDir, manifestPath);
 
     core.setOutput('temp_dir', tempDir);
     core.setOutput('zip_contents_path', contentsDir);
-    core.setOutput('file_count', fileCount);
+    core.setOutput('file_count', extractedFiles);
+    core.setOutput('skipped_count', skippedFiles);
+    core.setOutput('manifest_path', manifestPath);
+    core.setOutput('summary', JSON.stringify(summary));
+    core.setOutput('summary_message', getSummaryMessage(summary));
+    if (unsafeEntryPolicy === 'quarantine' && rejectedEntries.length > 0) {
+      core.setOutput('quarantine_path', quarantineDir);
+    }
   } catch (error) {
     core.warning(`❌ Error: ${error.message}`);
     core.setOutput('error_message', `❌ Error: ${error.message}`);
   } finally {
+    core.setOutput('rejected_entries', JSON.stringify(rejectedEntries));
+    core.setOutput('nested_archives', JSON.stringify(nestedArchives));
     try {
       // Done with the zip file, so delete it if possible.
       if (zipDestination) {
@@ -0,0 +1,338 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// Statuses worth retrying, anything else (i.e. 403 once the url has expired) is final.
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const BASE_RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+// Log progress every 100 MB when the server does not report the size of the zip.
+const UNKNOWN_SIZE_PROGRESS_STEP = 100 * 1024 * 1024;
+const CHECKSUM_LENGTHS = { sha256: 64, md5: 32 };
+
+// Sleep function using Promise
+async function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Create an error that should not be retried.
+ * @param {string} message
+ * @returns {Error}
+ */
+function fatalError(message) {
+  const error = new Error(message);
+  error.fatal = true;
+  return error;
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with some jitter.
+ * @param {number} attempt The (0-based) attempt that failed.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempt) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY)
+    + Math.floor(Math.random() * 1000);
+}
+
+/**
+ * Format a number of bytes for the logs.
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatSize(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Get the full size of the file being downloaded, if the server reports it.
+ * @param {Response} response
+ * @param {number} offset The number of bytes already downloaded.
+ * @returns {number|undefined}
+ */
+function getTotalSize(response, offset) {
+  const rangeMatch = response.headers.get('content-range')?.match(/\/(\d+)$/);
+  if (rangeMatch) {
+    return parseInt(rangeMatch[1], 10);
+  }
+  const contentLength = response.headers.get('content-length');
+  return contentLength ? offset + parseInt(contentLength, 10) : undefined;
+}
+
+/**
+ * Create a pass-through stream that logs the download progress and enforces the
+ * maximum size, even if the server did not report the size up front.
+ * @param {number} offset The number of bytes already downloaded.
+ * @param {number|undefined} totalSize
+ * @param {number} maxSize The maximum size in bytes, or 0 for no limit.
+ * @returns {Transform}
+ */
+function createProgressStream(offset, totalSize, maxSize) {
+  let received = offset;
+  let nextProgress = totalSize
+    ? Math.floor(((offset / totalSize) * 100) / 20) * 20 + 20
+    : offset + UNKNOWN_SIZE_PROGRESS_STEP;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (maxSize && received > maxSize) {
+        callback(fatalError(`The zip is larger than the maximum of ${formatSize(maxSize)}.`));
+        return;
+      }
+
+      if (totalSize) {
+        const progress = Math.floor((received / totalSize) * 100);
+        if (progress >= nextProgress) {
+          core.info(`⏳ Download progress: ${progress}% (${formatSize(received)} of ${formatSize(totalSize)})`);
+          nextProgress += 20;
+        }
+      } else if (received >= nextProgress) {
+        core.info(`⏳ Download progress: ${formatSize(received)}`);
+        nextProgress += UNKNOWN_SIZE_PROGRESS_STEP;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Ensure the download response is successful, telling retryable failures from final ones.
+ * @param {Response} response
+ */
+function checkResponse(response) {
+  if (!response.ok) {
+    const status = `${response.status} ${response.statusText}`;
+    if (RETRYABLE_STATUSES.includes(response.status)) {
+      throw new Error(status);
+    }
+    throw fatalError(`Check if the url expired and try again. Contact support if the problem persists. ${status}`);
+  }
+}
+
+/**
+ * Make one attempt at downloading the file, resuming from what a previous attempt
+ * already wrote to the destination if the server supports range requests.
+ * @param {string|URL} url
+ * @param {string} destination
+ * @param {number} maxSize The maximum size in bytes, or 0 for no limit.
+ * @returns {Promise<number>} The size of the downloaded file.
+ */
+async function downloadAttempt(url, destination, maxSize) {
+  const offset = fs.existsSync(destination) ? fs.statSync(destination).size : 0;
+  const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+  const response = await fetch(url, { headers });
+
+  if (response.status === 416) {
+    // The partial file does not match what the server has; start over on the next attempt.
+    fs.truncateSync(destination, 0);
+    throw new Error('The server could not resume the download.');
+  }
+  checkResponse(response);
+
+  let start = offset;
+  if (offset > 0 && response.status !== 206) {
+    core.info('⚠️ The server does not support resuming downloads. Restarting the download.');
+    start = 0;
+  } else if (offset > 0) {
+    core.info(`⏳ Resuming the download at ${formatSize(offset)}.`);
+  }
+
+  const totalSize = getTotalSize(response, start);
+  if (maxSize && totalSize > maxSize) {
+    throw fatalError(`The zip is ${formatSize(totalSize)}, larger than the maximum of ${formatSize(maxSize)}.`);
+  }
+
+  await pipeline(
+    Readable.fromWeb(response.body),
+    createProgressStream(start, totalSize, maxSize),
+    fs.createWriteStream(destination, { flags: start > 0 ? 'a' : 'w' }),
+  );
+
+  const { size } = fs.statSync(destination);
+  if (totalSize && size !== totalSize) {
+    throw new Error(`Incomplete download: received ${size} of ${totalSize} bytes.`);
+  }
+
+  return size;
+}
+
+/**
+ * Download a file, retrying with exponential backoff and resuming where the
+ * previous attempt stopped.
+ * @param {string|URL} url
+ * @param {string} destination The full file path where the file will be saved.
+ * @param {Object} options
+ * @param {number} options.maxRetries The number of retries after the first attempt.
+ * @param {number} options.maxSize The maximum size in bytes, or 0 for no limit.
+ * @returns {Promise<number>} The size of the downloaded file.
+ */
+export async function downloadFile(url, destination, { maxRetries, maxSize }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await downloadAttempt(url, destination, maxSize);
+    } catch (error) {
+      if (error.fatal || attempt >= maxRetries) {
+        throw error;
+      }
+      const delay = getRetryDelay(attempt);
+      core.warning(`Download attempt ${attempt + 1} of ${maxRetries + 1} failed: ${error.message || error}. Retrying in ${delay} ms.`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Open a stream of the file being downloaded, to process it while it arrives.
+ * Failures to get a response are retried, but a stream can't be resumed once
+ * its contents have been processed, so failures after that are final.
+ * @param {string|URL} url
+ * @param {Object} options
+ * @param {number} options.maxRetries The number of retries after the first attempt.
+ * @param {number} options.maxSize The maximum size in bytes, or 0 for no limit.
+ * @returns {Promise<Readable>}
+ */
+export async function openDownloadStream(url, { maxRetries, maxSize }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await fetch(url);
+      checkResponse(response);
+
+      const totalSize = getTotalSize(response, 0);
+      if (maxSize && totalSize > maxSize) {
+        throw fatalError(`The zip is ${formatSize(totalSize)}, larger than the maximum of ${formatSize(maxSize)}.`);
+      }
+
+      // Errors surface through the returned stream, so ignore them here.
+      const progressStream = createProgressStream(0, totalSize, maxSize);
+      pipeline(Readable.fromWeb(response.body), progressStream).catch(() => {});
+      return progressStream;
+    } catch (error) {
+      if (error.fatal || attempt >= maxRetries) {
+        throw error;
+      }
+      const delay = getRetryDelay(attempt);
+      core.warning(`Download attempt ${attempt + 1} of ${maxRetries + 1} failed: ${error.message || error}. Retrying in ${delay} ms.`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Parse an expected checksum, either as 'algorithm:digest' or as a bare digest
+ * whose algorithm is determined by its length.
+ * @param {string} value i.e. 'sha256:9f86d0...' or '9f86d0...'
+ * @returns {{algorithm: string, digest: string}}
+ */
+export function parseChecksum(value) {
+  const match = value.trim().match(/^(?:(sha256|md5):)?([a-f\d]+)$/i);
+  const algorithm = match?.[1]?.toLowerCase()
+    || Object.keys(CHECKSUM_LENGTHS).find((name) => CHECKSUM_LENGTHS[name] === match?.[2].length);
+  if (!match || !algorithm || CHECKSUM_LENGTHS[algorithm] !== match[2].length) {
+    throw new Error(`Invalid checksum: ${value}. Expected a SHA-256 or MD5 hex digest.`);
+  }
+
+  return { algorithm, digest: match[2].toLowerCase() };
+}
+
+/**
+ * Read the expected SHA-256 checksum from the '.sha256' sidecar of the zip, or from
+ * the given sidecar source.  The sidecar of a url does not get the query of the zip's
+ * url, as the query of a pre-signed url only signs the zip.  The sidecar may be in
+ * the 'sha256sum' format, where the digest is followed by the file name.
+ * @param {{url: URL}|{localPath: string}} source The zip source.
+ * @param {{url: URL}|{localPath: string}} [sidecarSource] The sidecar source, if it
+ *        is not next to the zip (i.e. a separately pre-signed url).
+ * @returns {Promise<{algorithm: string, digest: string}>}
+ */
+export async function getSidecarChecksum(source, sidecarSource) {
+  let content;
+  if (sidecarSource?.localPath || (!sidecarSource && source.localPath)) {
+    const sidecarPath = sidecarSource?.localPath || `${source.localPath}.sha256`;
+    if (!fs.existsSync(sidecarPath)) {
+      throw new Error(`Checksum sidecar not found: ${sidecarPath}`);
+    }
+    content = fs.readFileSync(sidecarPath, 'utf8');
+  } else {
+    let sidecarUrl = sidecarSource?.url;
+    if (!sidecarUrl) {
+      sidecarUrl = new URL(source.url);
+      sidecarUrl.pathname += '.sha256';
+      sidecarUrl.search = '';
+    }
+    const response = await fetch(sidecarUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to download the checksum sidecar: ${response.status} ${response.statusText}`);
+    }
+    content = await response.text();
+  }
+
+  return parseChecksum(`sha256:${content.trim().split(/\s+/)[0]}`);
+}
+
+/**
+ * Ensure a computed digest matches the expected checksum.
+ * @param {{algorithm: string, digest: string}} expected
+ * @param {string} actual The computed hex digest.
+ * @param {string} name What was verified, for the logs.
+ */
+function assertChecksum({ algorithm, digest }, actual, name) {
+  if (actual !== digest) {
+    throw new Error(`Checksum mismatch: expected ${algorithm} ${digest} but the zip has ${actual}.`);
+  }
+  core.info(`✅ Verified the ${algorithm} checksum of ${name}.`);
+}
+
+/**
+ * Verify the checksum of a file.
+ * @param {string} filePath
+ * @param {{algorithm: string, digest: string}} expected
+ * @returns {Promise<void>}
+ */
+export async function verifyChecksum(filePath, expected) {
+  const hash = crypto.createHash(expected.algorithm);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  assertChecksum(expected, hash.digest('hex'), filePath);
+}
+
+/**
+ * Create a pass-through stream that computes the checksum of what flows through
+ * it, for when the zip is processed while it is downloaded.
+ * @param {{algorithm: string, digest: string}} expected
+ * @returns {{stream: Transform, verify: function(): void}} The stream, and the
+ *          function to call once it ended to verify the checksum.
+ */
+export function createChecksumStream(expected) {
+  const hash = crypto.createHash(expected.algorithm);
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  return {
+    stream,
+    verify: () => assertChecksum(expected, hash.digest('hex'), 'the streamed zip'),
+  };
+}
@@ -0,0 +1,396 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import fs from 'fs';
+// eslint-disable-next-line import/no-unresolved
+import { minimatch } from 'minimatch';
+import path from 'path';
+import { pipeline as pipelineCallback, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { formatSize } from './zip-download.js';
+import {
+  detectArchiveFormat,
+  detectStreamFormat,
+  readArchiveEntries,
+  readArchiveStreamEntries,
+} from './zip-formats.js';
+
+const NESTED_ARCHIVE_PATTERN = /\.(zip|tar|tgz|tar\.gz)$/i;
+// Below this size, a high compression ratio is harmless (and common for text content).
+const RATIO_CHECK_MIN_SIZE = 100 * 1024 * 1024;
+// Without a total to report a percentage of, log the streaming progress every so many files.
+const STREAMING_PROGRESS_STEP = 500;
+
+/**
+ * Determine if a zip entry is unsafe to extract: an absolute path, a path that
+ * escapes the contents directory or an entry that is not a regular file or directory.
+ * @param {string} contentsDir
+ * @param {Object} entry The archive entry (see readArchiveEntries).
+ * @returns {string|undefined} The reason the entry is unsafe, or undefined if it is safe.
+ */
+function getUnsafeEntryReason(contentsDir, entry) {
+  // Zips created on Windows may use backslashes as separators.
+  const entryPath = entry.path.replace(/\\/g, '/');
+  if (entryPath.includes('\0')) {
+    return 'path contains a null byte';
+  }
+  if (path.isAbsolute(entryPath) || /^[a-zA-Z]:/.test(entryPath)) {
+    return 'absolute path';
+  }
+
+  const fullPath = path.resolve(contentsDir, entryPath);
+  if (fullPath !== contentsDir && !fullPath.startsWith(`${contentsDir}${path.sep}`)) {
+    return 'path traversal outside of the contents directory';
+  }
+
+  return entry.unsafeType;
+}
+
+/**
+ * Record an unsafe entry.
+ * @param {Object} entry The archive entry.
+ * @param {string} reason
+ * @param {Object} options The extraction options (see extractArchive).
+ * @param {Array<{path: string, reason: string}>} rejectedEntries
+ */
+function recordUnsafeEntry(entry, reason, options, rejectedEntries) {
+  const { policy, nestedIn } = options;
+  rejectedEntries.push({ path: entry.path, reason, ...(nestedIn && { archive: nestedIn }) });
+  core.warning(`Unsafe zip entry "${entry.path}"${nestedIn ? ` in ${nestedIn}` : ''} (${reason}) will be ${policy === 'quarantine' ? 'quarantined' : 'rejected'}.`);
+}
+
+/**
+ * Fail if there are more unsafe entries than tolerated.
+ * @param {Array<{path: string, reason: string}>} rejectedEntries
+ * @param {number} maxRejected
+ */
+function checkRejectedEntries(rejectedEntries, maxRejected) {
+  if (rejectedEntries.length > maxRejected) {
+    throw new Error(`The zip contains ${rejectedEntries.length} unsafe entries, more than the ${maxRejected} allowed. Check 'rejected_entries' for details.`);
+  }
+}
+
+/**
+ * Create a predicate that selects zip entries by their path: an entry must match one
+ * of the include globs (if any) and none of the exclude globs.  A glob matching a folder
+ * also matches everything in it, so 'media' is the same as 'media/**'.
+ * @param {string[]} include i.e. ['docx/en/**']
+ * @param {string[]} exclude i.e. ['media']
+ * @returns {function(string): boolean}
+ */
+export function createEntryFilter(include, exclude) {
+  const normalize = (pattern) => pattern.replace(/^\/+/, '').replace(/\/+$/, '');
+  const includePatterns = include.map(normalize);
+  const excludePatterns = exclude.map(normalize);
+  const matches = (entryPath, pattern) => minimatch(entryPath, pattern, { dot: true })
+    || minimatch(entryPath, `${pattern}/**`, { dot: true });
+
+  return (entryPath) => {
+    const normalizedPath = entryPath.replace(/\\/g, '/').replace(/^\.\//, '');
+    return (includePatterns.length === 0 || includePatterns.some((p) => matches(normalizedPath, p)))
+      && !excludePatterns.some((p) => matches(normalizedPath, p));
+  };
+}
+
+/**
+ * Create the check run on every extracted chunk, enforcing the maximum uncompressed
+ * size (across all archives sharing the limits) and the maximum compression ratio of
+ * an archive, which protects the runner's disk from zip bombs.
+ * @param {Object} limits
+ * @param {number} limits.maxSize The maximum uncompressed size in bytes, or 0 for no limit.
+ * @param {number} limits.maxRatio The maximum compression ratio, or 0 for no limit.
+ * @param {{bytes: number}} limits.usage The uncompressed bytes written so far.
+ * @param {function(): number} getCompressedSize The (so far read) size of the archive.
+ * @returns {function(number): Error|undefined} Given the size of a chunk, returns the
+ *          error to fail with, if a limit is exceeded.
+ */
+function createSizeGuard(limits, getCompressedSize) {
+  let archiveBytes = 0;
+  return (length) => {
+    archiveBytes += length;
+    limits.usage.bytes += length;
+    if (limits.maxSize && limits.usage.bytes > limits.maxSize) {
+      return new Error(`The extracted contents are larger than the maximum of ${formatSize(limits.maxSize)}.`);
+    }
+    if (limits.maxRatio && archiveBytes > RATIO_CHECK_MIN_SIZE
+      && archiveBytes > limits.maxRatio * getCompressedSize()) {
+      return new Error(`The compression ratio is above the maximum of ${limits.maxRatio}. The archive may be a zip bomb.`);
+    }
+    return undefined;
+  };
+}
+
+/**
+ * Write the contents of a zip entry to the given file.
+ * @param {Object} entry The archive entry (see readArchiveEntries).
+ * @param {string} fullPath
+ * @param {function(number): Error|undefined} checkSize The size guard.
+ * @returns {Promise<void>}
+ */
+async function writeEntry(entry, fullPath, checkSize) {
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  await pipeline(
+    entry.stream(),
+    new Transform({
+      transform(chunk, encoding, callback) {
+        callback(checkSize(chunk.length), chunk);
+      },
+    }),
+    fs.createWriteStream(fullPath),
+  );
+}
+
+/**
+ * Extract, quarantine or skip one entry.
+ * @param {Object} entry The archive entry.
+ * @param {number} index The index of the entry in the archive.
+ * @param {string|undefined} unsafeReason Why the entry is unsafe, if it is.
+ * @param {string} contentsDir
+ * @param {Object} options The extraction options (see extractArchive).
+ * @param {function(number): Error|undefined} checkSize The size guard.
+ * @param {{extractedFiles: number, skippedFiles: number}} result Updated with the outcome.
+ * @returns {Promise<void>}
+ */
+async function processEntry(entry, index, unsafeReason, contentsDir, options, checkSize, result) {
+  const {
+    policy,
+    quarantineDir,
+    isSelected,
+    nestedIn,
+  } = options;
+
+  if (unsafeReason) {
+    if (policy === 'quarantine' && entry.type !== 'Directory') {
+      const entryName = nestedIn ? `${nestedIn}/${entry.path}` : entry.path;
+      const quarantineName = `${index}-${entryName.replace(/[^\w.-]+/g, '_')}`;
+      await writeEntry(entry, path.join(quarantineDir, quarantineName), checkSize);
+    }
+  } else if (isSelected && (entry.type === 'Directory' || !isSelected(entry.path))) {
+    if (entry.type !== 'Directory') {
+      core.debug(`Skipping ${entry.path}: not selected by the include/exclude filter.`);
+      result.skippedFiles += 1;
+    }
+  } else {
+    const fullPath = path.join(contentsDir, entry.path);
+    if (entry.type === 'Directory') {
+      fs.mkdirSync(fullPath, { recursive: true });
+    } else {
+      await writeEntry(entry, fullPath, checkSize);
+    }
+    result.extractedFiles += 1;
+  }
+}
+
+/**
+ * Log the outcome of an extraction.
+ * @param {string} contentsDir
+ * @param {Object} options The extraction options (see extractArchive).
+ * @param {Array<{path: string, reason: string}>} rejectedEntries
+ * @param {{extractedFiles: number, skippedFiles: number}} result
+ */
+function logExtraction(contentsDir, options, rejectedEntries, result) {
+  const { policy, quarantineDir, nestedIn } = options;
+  core.info(`✅ ${nestedIn || 'Import zip'} extracted to: ${contentsDir}`);
+  if (rejectedEntries.length > 0) {
+    core.info(`⚠️ ${rejectedEntries.length} unsafe entries were ${policy === 'quarantine' ? `quarantined to: ${quarantineDir}` : 'rejected'}.`);
+  }
+  if (result.skippedFiles > 0) {
+    core.info(`⚠️ ${result.skippedFiles} files were skipped by the include/exclude filter.`);
+  }
+}
+
+/**
+ * Unzip one file at a time. Before anything is written, every entry is checked and
+ * the unsafe ones are either skipped ('reject') or written as plain files to the
+ * quarantine directory ('quarantine'), never to the contents directory.
+ * Files not selected by the entry filter are skipped. When filtering, directory
+ * entries are skipped too, as the selected files create the folders they need.
+ * @param {string} archivePath
+ * @param {string} format One of ARCHIVE_FORMATS.
+ * @param {string} contentsDir
+ * @param {Object} options
+ * @param {string} options.policy What to do with unsafe entries: 'reject' or 'quarantine'.
+ * @param {number} options.maxRejected The number of unsafe entries tolerated
+ *                                     before the extraction fails.
+ * @param {string} options.quarantineDir Where to write quarantined entries.
+ * @param {Object} options.limits The size and compression ratio limits (see createSizeGuard).
+ * @param {function(string): boolean} [options.isSelected] The entry filter, if any.
+ * @param {string} [options.nestedIn] The path of the archive, if it is nested in the zip.
+ * @param {Array<{path: string, reason: string}>} rejectedEntries Populated with
+ *                                                                the unsafe entries.
+ * @returns {Promise<{extractedFiles: number, skippedFiles: number}>} The number of
+ *          entries extracted to the contents directory and of files skipped by the filter.
+ */
+export async function extractArchive(archivePath, format, contentsDir, options, rejectedEntries) {
+  const { maxRejected, limits, nestedIn } = options;
+  const result = { extractedFiles: 0, skippedFiles: 0 };
+  let totalFiles = 0;
+  try {
+    // Check all entries up front, so nothing is written if the zip is rejected.
+    // Tar entries can only be read in sequence, so the archive is read twice.
+    const unsafeEntries = new Map();
+    let declaredSize = 0;
+    for await (const entry of readArchiveEntries(archivePath, format)) {
+      const reason = getUnsafeEntryReason(contentsDir, entry);
+      if (reason) {
+        unsafeEntries.set(totalFiles, reason);
+        recordUnsafeEntry(entry, reason, options, rejectedEntries);
+      }
+      declaredSize += entry.size || 0;
+      totalFiles += 1;
+    }
+    checkRejectedEntries(rejectedEntries, maxRejected);
+    if (limits.maxSize && limits.usage.bytes + declaredSize > limits.maxSize) {
+      throw new Error(`The extracted contents would be ${formatSize(declaredSize)}, larger than the maximum of ${formatSize(limits.maxSize)}.`);
+    }
+    const { size: archiveSize } = fs.statSync(archivePath);
+    if (limits.maxRatio && declaredSize > RATIO_CHECK_MIN_SIZE
+      && declaredSize > limits.maxRatio * archiveSize) {
+      throw new Error(`The compression ratio is above the maximum of ${limits.maxRatio}. The archive may be a zip bomb.`);
+    }
+
+    // The declared sizes can't be trusted, so the limits are enforced while writing too.
+    const checkSize = createSizeGuard(limits, () => archiveSize);
+    let processedFiles = 0;
+    let nextProgress = 20;
+    for await (const entry of readArchiveEntries(archivePath, format)) {
+      const reason = unsafeEntries.get(processedFiles);
+      await processEntry(entry, processedFiles, reason, contentsDir, options, checkSize, result);
+
+      processedFiles += 1;
+      const progress = Math.floor((processedFiles / totalFiles) * 100);
+      if (progress >= nextProgress) {
+        core.info(`⏳ Extraction progress: ${progress}% (${processedFiles}/${totalFiles} files)`);
+        nextProgress += 20;
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to extract ${nestedIn || 'zip'}: ${error.message || error}`);
+  }
+
+  logExtraction(contentsDir, options, rejectedEntries, result);
+
+  return result;
+}
+
+/**
+ * Extract an archive while it is read (i.e. downloaded), without storing it first.
+ * Unsafe entries are handled as they arrive, so the extraction stops (leaving what
+ * was already extracted) once there are more than tolerated.  Zip entries can't be
+ * identified as symbolic links or devices when streaming, but as all entries are
+ * written as plain files, they can't point outside the contents directory either.
+ * @param {Readable} input The archive stream.
+ * @param {string} contentsDir
+ * @param {Object} options The extraction options (see extractArchive).
+ * @param {Array<{path: string, reason: string}>} rejectedEntries Populated with
+ *                                                                the unsafe entries.
+ * @returns {Promise<{format: string, extractedFiles: number, skippedFiles: number}>}
+ */
+export async function extractArchiveStream(input, contentsDir, options, rejectedEntries) {
+  const { maxRejected, limits } = options;
+  const result = { extractedFiles: 0, skippedFiles: 0 };
+  let format;
+  try {
+    const detected = await detectStreamFormat(input);
+    format = detected.format;
+    if (!format) {
+      throw new Error('The download is not a zip, tar or tar.gz archive.');
+    }
+    core.info(`⏳ Extracting the ${format} Import zip while it is downloaded.`);
+
+    let compressedBytes = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        compressedBytes += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    // Fail the counter stream on errors (i.e. a failed download), so they surface
+    // through the entries being read.
+    pipelineCallback(detected.stream, counter, (error) => {
+      if (error) {
+        counter.destroy(error);
+      }
+    });
+
+    const checkSize = createSizeGuard(limits, () => compressedBytes);
+    let processedFiles = 0;
+    for await (const entry of readArchiveStreamEntries(counter, format)) {
+      const reason = getUnsafeEntryReason(contentsDir, entry);
+      if (reason) {
+        recordUnsafeEntry(entry, reason, options, rejectedEntries);
+        checkRejectedEntries(rejectedEntries, maxRejected);
+      }
+      await processEntry(entry, processedFiles, reason, contentsDir, options, checkSize, result);
+
+      processedFiles += 1;
+      if (processedFiles % STREAMING_PROGRESS_STEP === 0) {
+        core.info(`⏳ Extraction progress: ${processedFiles} files`);
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to extract zip: ${error.message || error}`);
+  }
+
+  logExtraction(contentsDir, options, rejectedEntries, result);
+
+  return { format, ...result };
+}
+
+/**
+ * Expand the archives nested in the extracted zip (i.e. the XWalk content package)
+ * into sibling folders named after them (i.e. 'xwalk-index.zip' to 'xwalk-index'),
+ * leaving the archives in place.  Only one level of nesting is expanded and only
+ * files with an archive extension are considered, so docx files are left alone.
+ * @param {string} contentsDir
+ * @param {Object} options The extraction options (see extractArchive).
+ * @param {Array<{path: string, reason: string}>} rejectedEntries
+ * @returns {Promise<Array<Object>>} The expanded archives, with their path, format,
+ *          expanded path (both relative to the contents directory) and file count.
+ */
+export async function expandNestedArchives(contentsDir, options, rejectedEntries) {
+  const archives = fs.readdirSync(contentsDir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile() && NESTED_ARCHIVE_PATTERN.test(entry.name))
+    .map((entry) => path.join(entry.parentPath, entry.name));
+
+  const nestedArchives = [];
+  for (const archivePath of archives) {
+    const format = detectArchiveFormat(archivePath);
+    const relativePath = path.relative(contentsDir, archivePath);
+    if (!format) {
+      core.info(`Skipping ${relativePath}: it is not a zip, tar or tar.gz archive.`);
+    } else {
+      let expandedDir = archivePath.replace(NESTED_ARCHIVE_PATTERN, '');
+      if (fs.existsSync(expandedDir)) {
+        expandedDir = `${expandedDir}-expanded`;
+      }
+      fs.mkdirSync(expandedDir, { recursive: true });
+
+      const { extractedFiles } = await extractArchive(
+        archivePath,
+        format,
+        expandedDir,
+        { ...options, isSelected: undefined, nestedIn: relativePath },
+        rejectedEntries,
+      );
+      nestedArchives.push({
+        path: relativePath,
+        format,
+        expandedPath: path.relative(contentsDir, expandedDir),
+        fileCount: extractedFiles,
+      });
+    }
+  }
+
+  return nestedArchives;
+}
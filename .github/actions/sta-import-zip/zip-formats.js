@@ -0,0 +1,257 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+import { pipeline, Readable } from 'stream';
+// eslint-disable-next-line import/no-unresolved
+import tar from 'tar-stream';
+import unzipper from 'unzipper';
+import zlib from 'zlib';
+
+/**
+ * The archive formats the Import zip (and the archives nested in it) can be in.
+ */
+export const ARCHIVE_FORMATS = Object.freeze({
+  ZIP: 'zip',
+  TAR: 'tar',
+  TAR_GZ: 'tar.gz',
+});
+
+// Unix file type bits, stored in the upper 16 bits of a zip entry's external attributes.
+const S_IFMT = 0o170000;
+const ZIP_UNSAFE_TYPES = new Map([
+  [0o120000, 'symbolic link'],
+  [0o020000, 'character device'],
+  [0o060000, 'block device'],
+  [0o010000, 'named pipe'],
+  [0o140000, 'socket'],
+]);
+const TAR_UNSAFE_TYPES = new Map([
+  ['symlink', 'symbolic link'],
+  ['link', 'hard link'],
+  ['character-device', 'character device'],
+  ['block-device', 'block device'],
+  ['fifo', 'named pipe'],
+]);
+
+/**
+ * Detect the format of an archive from its first (up to 512) bytes.
+ * @param {Buffer} header
+ * @returns {string|undefined} One of ARCHIVE_FORMATS, or undefined if it is not an archive.
+ */
+function getFormatFromHeader(header) {
+  // 'PK\x03\x04' for a zip with entries, 'PK\x05\x06' for an empty one.
+  if (header.length >= 4 && [0x04034b50, 0x06054b50].includes(header.readUInt32LE(0))) {
+    return ARCHIVE_FORMATS.ZIP;
+  }
+  // Gzip: the only compressed format our exporters produce is a compressed tar.
+  if (header.length >= 2 && header[0] === 0x1f && header[1] === 0x8b) {
+    return ARCHIVE_FORMATS.TAR_GZ;
+  }
+  if (header.length >= 262 && header.toString('ascii', 257, 262) === 'ustar') {
+    return ARCHIVE_FORMATS.TAR;
+  }
+
+  return undefined;
+}
+
+/**
+ * Detect the format of an archive from its first bytes, regardless of its name.
+ * @param {string} filePath
+ * @returns {string|undefined} One of ARCHIVE_FORMATS, or undefined if it is not an archive.
+ */
+export function detectArchiveFormat(filePath) {
+  const header = Buffer.alloc(512);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return getFormatFromHeader(header.subarray(0, bytesRead));
+}
+
+/**
+ * Detect the format of an archive stream from its first bytes, without consuming them.
+ * @param {Readable} input
+ * @returns {Promise<{format: string|undefined, stream: Readable}>} The format and the
+ *          stream to read the archive from, which replaces the input.
+ */
+export function detectStreamFormat(input) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let onData;
+    let onEnd;
+    const done = (ended) => {
+      input.off('data', onData);
+      input.off('end', onEnd);
+      input.off('error', reject);
+      const header = Buffer.concat(chunks);
+      const format = getFormatFromHeader(header.subarray(0, 512));
+      if (ended) {
+        // A stream can't be rewound once it ended, so replay what was read.
+        resolve({ format, stream: Readable.from([header]) });
+      } else {
+        input.pause();
+        input.unshift(header);
+        resolve({ format, stream: input });
+      }
+    };
+    onData = (chunk) => {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= 512) {
+        done(false);
+      }
+    };
+    onEnd = () => done(true);
+
+    input.on('data', onData);
+    input.once('end', onEnd);
+    input.once('error', reject);
+  });
+}
+
+/**
+ * Iterate over the entries of a zip.
+ * @param {string} filePath
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readZipEntries(filePath) {
+  const directory = await unzipper.Open.file(filePath);
+  for (const file of directory.files) {
+    // eslint-disable-next-line no-bitwise
+    const fileType = (file.externalFileAttributes >>> 16) & S_IFMT;
+    yield {
+      path: file.path,
+      type: file.type,
+      unsafeType: ZIP_UNSAFE_TYPES.get(fileType),
+      size: file.uncompressedSize,
+      stream: () => file.stream(),
+    };
+  }
+}
+
+/**
+ * Iterate over the entries of a zip stream.  Only the local headers are available
+ * when streaming, so the kind of entry (i.e. a symbolic link) is unknown.
+ * @param {Readable} input
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readZipStreamEntries(input) {
+  const parser = unzipper.Parse({ forceStream: true });
+  let current;
+  // Fail the parser (and the entry being read, if it is) on input errors, so they reject
+  // the iteration of its entries instead of leaving it waiting for more data.
+  input.once('error', (error) => {
+    if (parser.writableFinished) {
+      return;
+    }
+    if (current?.listenerCount('error') > 0) {
+      current.destroy(error);
+    }
+    parser.destroy(error);
+  });
+  // The parser ends at the end of the central directory, so drain the rest of the
+  // input (i.e. for its checksum) rather than closing it early.
+  parser.once('finish', () => input.unpipe(parser).resume());
+  input.pipe(parser);
+
+  for await (const entry of parser) {
+    current = entry;
+    let consumed = false;
+    yield {
+      path: entry.path,
+      type: entry.type,
+      unsafeType: undefined,
+      size: entry.vars.uncompressedSize,
+      stream: () => {
+        consumed = true;
+        return entry;
+      },
+    };
+    if (!consumed) {
+      entry.autodrain();
+    }
+  }
+}
+
+/**
+ * Iterate over the entries of a (compressed) tar stream.  The entries are read
+ * sequentially, so an entry's stream is only available until the next entry is read.
+ * @param {Readable} input
+ * @param {boolean} compressed
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* readTarEntries(input, compressed) {
+  const extract = tar.extract();
+  const streams = [input];
+  if (compressed) {
+    streams.push(zlib.createGunzip());
+  }
+  // Fail the extract stream on errors, so they reject the iteration of its entries.
+  pipeline(...streams, extract, (error) => {
+    if (error) {
+      extract.destroy(error);
+    }
+  });
+
+  for await (const entry of extract) {
+    const { header } = entry;
+    let consumed = false;
+    yield {
+      path: header.name,
+      type: header.type === 'directory' ? 'Directory' : 'File',
+      unsafeType: TAR_UNSAFE_TYPES.get(header.type),
+      size: header.size,
+      stream: () => {
+        consumed = true;
+        return entry;
+      },
+    };
+    if (!consumed) {
+      entry.resume();
+    }
+  }
+}
+
+/**
+ * Iterate over the entries of an archive, normalized across formats.  Each entry
+ * has its path, its type ('Directory' or 'File'), the kind of entry it is if it is
+ * neither a regular file nor a directory (unsafeType), its size and a function to
+ * get a stream of its contents.
+ * @param {string} filePath
+ * @param {string} format One of ARCHIVE_FORMATS.
+ * @returns {AsyncGenerator<Object>}
+ */
+export function readArchiveEntries(filePath, format) {
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    return readZipEntries(filePath);
+  }
+  return readTarEntries(fs.createReadStream(filePath), format === ARCHIVE_FORMATS.TAR_GZ);
+}
+
+/**
+ * Iterate over the entries of an archive stream, as they arrive (see readArchiveEntries).
+ * @param {Readable} input
+ * @param {string} format One of ARCHIVE_FORMATS.
+ * @returns {AsyncGenerator<Object>}
+ */
+export function readArchiveStreamEntries(input, format) {
+  if (format === ARCHIVE_FORMATS.ZIP) {
+    return readZipStreamEntries(input);
+  }
+  return readTarEntries(input, format === ARCHIVE_FORMATS.TAR_GZ);
+}
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { finished } from 'node:stream/promises';
+import {
+  after,
+  before,
+  describe,
+  it,
+} from 'node:test';
+import zlib from 'node:zlib';
+import { extractArchiveStream } from './zip-extract.js';
+import { ARCHIVE_FORMATS, readArchiveStreamEntries } from './zip-formats.js';
+
+/**
+ * Build a zip of stored (uncompressed) files.
+ * @param {Object<string, string>} files The contents of the files, by path.
+ * @returns {Buffer}
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  Object.entries(files).forEach(([name, contents]) => {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const crc = zlib.crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, data);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Enough files for the central directory to outlast the parser, which ends before it.
+const FILES = Object.fromEntries(Array.from(
+  { length: 300 },
+  (value, index) => [`docx/page-with-a-long-name-${index}.docx`, `page ${index}`],
+));
+
+describe('streaming extraction of a local zip', () => {
+  let tempDir;
+  let zipPath;
+
+  before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-formats-test-'));
+    zipPath = path.join(tempDir, 'import.zip');
+    fs.writeFileSync(zipPath, buildZip(FILES));
+  });
+
+  after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('reads all the entries, and the rest of the zip after them', async () => {
+    let readBytes = 0;
+    const input = fs.createReadStream(zipPath).pipe(new PassThrough());
+    input.on('data', (chunk) => {
+      readBytes += chunk.length;
+    });
+
+    const paths = [];
+    for await (const entry of readArchiveStreamEntries(input, ARCHIVE_FORMATS.ZIP)) {
+      paths.push(entry.path);
+    }
+    await finished(input);
+
+    assert.deepEqual(paths, Object.keys(FILES));
+    assert.equal(readBytes, fs.statSync(zipPath).size);
+  });
+
+  it('extracts the files', async () => {
+    const contentsDir = path.join(tempDir, 'contents');
+    const options = {
+      policy: 'reject',
+      maxRejected: 0,
+      limits: { maxSize: 0, maxRatio: 0, usage: { bytes: 0 } },
+    };
+    const result = await extractArchiveStream(
+      fs.createReadStream(zipPath),
+      contentsDir,
+      options,
+      [],
+    );
+
+    assert.equal(result.format, ARCHIVE_FORMATS.ZIP);
+    assert.equal(result.extractedFiles, Object.keys(FILES).length);
+    assert.equal(fs.readFileSync(path.join(contentsDir, 'docx/page-with-a-long-name-7.docx'), 'utf8'), 'page 7');
+  });
+
+  it('fails when the zip stream fails', async () => {
+    const input = new PassThrough();
+    input.write(buildZip(FILES).subarray(0, 2000));
+    setImmediate(() => input.destroy(new Error('terminated')));
+
+    const entries = async () => {
+      for await (const entry of readArchiveStreamEntries(input, ARCHIVE_FORMATS.ZIP)) {
+        await finished(entry.stream().resume());
+      }
+    };
+    await assert.rejects(entries, /terminated/);
+  });
+});
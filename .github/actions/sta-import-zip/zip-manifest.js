@@ -0,0 +1,141 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import crypto from 'crypto';
+import fs from 'fs';
+// eslint-disable-next-line import/no-unresolved
+import mime from 'mime-types';
+import path from 'path';
+import { formatSize } from './zip-download.js';
+
+/**
+ * The upload target each file of the Import zip is meant for.
+ */
+export const MANIFEST_TARGETS = Object.freeze({
+  DOCX: 'docx',
+  DA: 'da',
+  XWALK_PACKAGE: 'xwalk-package',
+  ASSET_MAPPING: 'asset-mapping',
+  OTHER: 'other',
+});
+
+/**
+ * Detect which upload target a file is meant for, based on the layouts the
+ * SharePoint (docx folder), DA (da folder and asset list) and XWalk (content
+ * package zip and asset mapping at the root) uploads expect.
+ * @param {string} relativePath The '/' separated path within the zip contents.
+ * @returns {string} One of MANIFEST_TARGETS.
+ */
+function getTarget(relativePath) {
+  const isRootFile = !relativePath.includes('/');
+  if (relativePath.startsWith('docx/') && relativePath.endsWith('.docx')) {
+    return MANIFEST_TARGETS.DOCX;
+  }
+  if (relativePath.startsWith('da/') || relativePath === 'asset-list.json') {
+    return MANIFEST_TARGETS.DA;
+  }
+  if (relativePath === 'asset-mapping.json') {
+    return MANIFEST_TARGETS.ASSET_MAPPING;
+  }
+  if (isRootFile && relativePath.endsWith('.zip')) {
+    return MANIFEST_TARGETS.XWALK_PACKAGE;
+  }
+  return MANIFEST_TARGETS.OTHER;
+}
+
+/**
+ * Compute the SHA-256 digest of a file.
+ * @param {string} filePath
+ * @returns {Promise<string>}
+ */
+async function getSha256(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Summarize the manifest files by target and by mime type.
+ * @param {Array<Object>} files The manifest files.
+ * @returns {{fileCount: number, totalSize: number, targets: Object, mimeTypes: Object}}
+ */
+function summarize(files) {
+  const summary = {
+    fileCount: files.length,
+    totalSize: 0,
+    targets: {},
+    mimeTypes: {},
+  };
+
+  for (const file of files) {
+    summary.totalSize += file.size;
+    summary.targets[file.target] ??= { count: 0, size: 0 };
+    summary.targets[file.target].count += 1;
+    summary.targets[file.target].size += file.size;
+    summary.mimeTypes[file.mimeType] = (summary.mimeTypes[file.mimeType] || 0) + 1;
+  }
+
+  return summary;
+}
+
+/**
+ * Render the summary as a short, human-readable message for status updates.
+ * @param {Object} summary
+ * @returns {string} i.e. '12 docx, 1 asset-mapping (4.2 MB)'
+ */
+export function getSummaryMessage(summary) {
+  const counts = Object.entries(summary.targets)
+    .map(([target, { count }]) => `${count} ${target}`)
+    .join(', ');
+  return `${counts || 'no files'} (${formatSize(summary.totalSize)})`;
+}
+
+/**
+ * Create the inventory of the extracted Import zip contents, with the path, size,
+ * mime type, SHA-256 digest and detected target of every file, and write it as JSON.
+ * @param {string} contentsDir The directory holding the extracted zip contents.
+ * @param {string} manifestPath Where to write the manifest.
+ * @returns {Promise<Object>} The summary of the manifest.
+ */
+export async function writeManifest(contentsDir, manifestPath) {
+  const entries = fs.readdirSync(contentsDir, { recursive: true, withFileTypes: true })
+    .filter((entry) => entry.isFile());
+
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(entry.parentPath, entry.name);
+    const relativePath = path.relative(contentsDir, fullPath).split(path.sep).join('/');
+    files.push({
+      path: relativePath,
+      size: fs.statSync(fullPath).size,
+      mimeType: mime.lookup(fullPath) || 'application/octet-stream',
+      sha256: await getSha256(fullPath),
+      target: getTarget(relativePath),
+    });
+  }
+  files.sort((a, b) => a.path.localeCompare(b.path));
+
+  const summary = summarize(files);
+  fs.writeFileSync(manifestPath, JSON.stringify({
+    created: new Date().toISOString(),
+    contentsPath: contentsDir,
+    summary,
+    files,
+  }, undefined, 2));
+
+  core.info(`✅ Import zip manifest written to ${manifestPath}: ${getSummaryMessage(summary)}`);
+
+  return summary;
+}
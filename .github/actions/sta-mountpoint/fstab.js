@@ -0,0 +1,101 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import fs from 'fs';
+// eslint-disable-next-line import/no-unresolved
+import YAML from 'yaml';
+
+/**
+ * Normalize a content path: leading slash, no trailing slash (except for the root).
+ * @param {string} contentPath i.e. 'blog/' or '/blog'
+ * @returns {string} i.e. '/blog'
+ */
+export function normalizeContentPath(contentPath) {
+  const normalized = `/${(contentPath || '').trim().replace(/^\/+|\/+$/g, '')}`;
+  return normalized.replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Read the mountpoints of an fstab.yaml file.  A mountpoint is either a url, or an
+ * object with the url and optionally the type of the content source, i.e.
+ * mountpoints:
+ *   /: https://adobe.sharepoint.com/:f:/r/sites/AEMDemos/Shared%20Documents/my-site
+ *   /blog:
+ *     url: https://content.da.live/my-org/my-blog/
+ *     type: markup
+ * @param {string} fstabPath
+ * @returns {Array<{path: string, url: string, declaredType?: string}>} The mountpoints,
+ *          sorted by path.
+ */
+export function readFstab(fstabPath) {
+  if (!fs.existsSync(fstabPath)) {
+    throw new Error(`fstab not found: ${fstabPath}`);
+  }
+
+  let fstab;
+  try {
+    fstab = YAML.parse(fs.readFileSync(fstabPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid fstab ${fstabPath}: ${error.message}`);
+  }
+  if (!fstab?.mountpoints || typeof fstab.mountpoints !== 'object') {
+    throw new Error(`The fstab ${fstabPath} has no mountpoints.`);
+  }
+
+  return Object.entries(fstab.mountpoints).map(([mountPath, value]) => {
+    const url = typeof value === 'string' ? value : value?.url;
+    if (!url) {
+      throw new Error(`The ${mountPath} mountpoint in ${fstabPath} has no url.`);
+    }
+    return {
+      path: normalizeContentPath(mountPath),
+      url,
+      ...(value?.type && { declaredType: value.type }),
+    };
+  }).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Find the mountpoint that owns a content path: the one with the longest path that is
+ * the content path or one of its parent folders.
+ * @param {Array<{path: string}>} mountpoints
+ * @param {string} contentPath i.e. '/blog/2025/post'
+ * @returns {{mountpoint: Object, relativePath: string}|undefined} The owning mountpoint
+ *          and the content path relative to it (i.e. '2025/post' for '/blog').
+ */
+export function resolveMountpoint(mountpoints, contentPath) {
+  const normalized = normalizeContentPath(contentPath);
+  const owners = mountpoints.filter(({ path }) => path === '/'
+    || normalized === path
+    || normalized.startsWith(`${path}/`));
+  if (owners.length === 0) {
+    return undefined;
+  }
+
+  const mountpoint = owners.reduce((a, b) => (b.path.length > a.path.length ? b : a));
+  return {
+    mountpoint,
+    relativePath: normalized.substring(mountpoint.path.length).replace(/^\//, ''),
+  };
+}
+
+/**
+ * Find the mountpoints nested in a mountpoint (i.e. '/blog' in '/'), which own their
+ * part of its content.
+ * @param {Array<{path: string}>} mountpoints
+ * @param {{path: string}} mountpoint
+ * @returns {Array<Object>}
+ */
+export function getNestedMountpoints(mountpoints, mountpoint) {
+  const prefix = mountpoint.path === '/' ? '/' : `${mountpoint.path}/`;
+  return mountpoints.filter(({ path }) => path !== mountpoint.path && path.startsWith(prefix));
+}
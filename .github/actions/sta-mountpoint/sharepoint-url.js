@@ -0,0 +1,139 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// The managed paths site collections live under.
+const MANAGED_PATHS = ['sites', 'teams'];
+// Sharing links start with a kind (i.e. ':f:' for a folder, ':w:' for a document)
+// followed by 'r' for a link with the path in it, or by the type of a tokenized link.
+const SHARING_LINK_PATTERN = /^:([a-z]):$/i;
+// The managed path of the site of a tokenized link, by link type: 's' for a site
+// under /sites/, 't' for a team site under /teams/.
+const TOKENIZED_LINK_PATHS = Object.freeze({ s: 'sites', t: 'teams' });
+// The query parameters a library view url (i.e. .../Forms/AllItems.aspx) keeps the folder in.
+const FOLDER_QUERY_PARAMS = ['id', 'RootFolder'];
+
+/**
+ * Decode a path segment, keeping it as is if it is not validly encoded (i.e. '100%').
+ * @param {string} segment
+ * @returns {string}
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+}
+
+/**
+ * Split a url path into its decoded, non-empty segments.
+ * @param {string} urlPath
+ * @returns {string[]}
+ */
+function getSegments(urlPath) {
+  return urlPath.split('/').filter((segment) => segment.length > 0).map(decodeSegment);
+}
+
+/**
+ * Get the server-relative folder path from a library view url, if it has one, i.e.
+ * '/sites/AEMDemos/Shared Documents/my-site' from
+ * '.../Forms/AllItems.aspx?id=%2Fsites%2FAEMDemos%2FShared%20Documents%2Fmy-site'
+ * @param {URL} url
+ * @returns {string|undefined}
+ */
+function getFolderFromQuery(url) {
+  const param = FOLDER_QUERY_PARAMS.find((name) => url.searchParams.get(name));
+  return param ? url.searchParams.get(param) : undefined;
+}
+
+/**
+ * Parse a SharePoint folder url in any of the shapes users copy it in:
+ * - a direct sharing link: https://tenant.sharepoint.com/:f:/r/sites/Site/Shared%20Documents/folder?csf=1&web=1
+ * - a tokenized sharing link: https://tenant.sharepoint.com/:f:/s/Site/EaBcD...?e=xyz
+ *   (or https://tenant.sharepoint.com/:f:/t/Team/EaBcD...?e=xyz for a team site)
+ * - the folder url: https://tenant.sharepoint.com/sites/Site/Shared Documents/folder
+ * - a library view url: https://tenant.sharepoint.com/sites/Site/Shared%20Documents/Forms/AllItems.aspx?id=...
+ * with the site under /sites/ or /teams/, and a folder path that may contain 'sites'
+ * itself.  The folder path of a tokenized sharing link is unknown until the link is
+ * resolved (i.e. with the Graph shares API), so only its site and url are returned.
+ * @param {string} mountpoint
+ * @returns {Object} The host, site (i.e. 'AEMDemos'), site collection (i.e. '/sites/AEMDemos'),
+ *          library (i.e. 'Shared Documents'), folder path within the library and decoded path
+ *          (library and folder path), as well as the path as the '/' separated encoded
+ *          segments of the decoded path.  For tokenized sharing links, the sharing url.
+ */
+export function parseSharePointUrl(mountpoint) {
+  let url;
+  try {
+    url = new URL(mountpoint);
+  } catch (error) {
+    throw new Error(`SharePoint mountpoint is not a valid url: ${mountpoint}`);
+  }
+  if (url.protocol !== 'https:' || !/\.sharepoint\.com$/i.test(url.hostname)) {
+    throw new Error(`SharePoint mountpoint must be an https://<tenant>.sharepoint.com url: ${mountpoint}`);
+  }
+
+  let segments = getSegments(url.pathname);
+  let tokenized = false;
+  if (SHARING_LINK_PATTERN.test(segments[0] || '')) {
+    const [kind, linkType] = segments;
+    if (kind.toLowerCase() !== ':f:') {
+      throw new Error(`SharePoint sharing links of kind '${kind}' are not supported, the mountpoint must link to a folder (':f:'): ${mountpoint}`);
+    }
+    const tokenizedPath = TOKENIZED_LINK_PATHS[linkType?.toLowerCase()];
+    if (linkType?.toLowerCase() !== 'r' && !tokenizedPath) {
+      throw new Error(`SharePoint sharing links of type '${linkType}' are not supported, only '/:f:/r/', '/:f:/s/' and '/:f:/t/' links are: ${mountpoint}`);
+    }
+    tokenized = Boolean(tokenizedPath);
+    // Tokenized links leave out the managed path: /:f:/s/Site/Token or /:f:/t/Team/Token.
+    segments = tokenized ? [tokenizedPath, ...segments.slice(2)] : segments.slice(2);
+  }
+
+  const queryFolder = getFolderFromQuery(url);
+  if (queryFolder) {
+    segments = getSegments(queryFolder);
+  }
+
+  const [managedPath, site, ...librarySegments] = segments;
+  if (!MANAGED_PATHS.includes(managedPath?.toLowerCase())) {
+    throw new Error(`SharePoint mountpoint must be in a site under /sites/ or /teams/, but the path starts with '/${managedPath || ''}': ${mountpoint}`);
+  }
+  if (!site) {
+    throw new Error(`SharePoint mountpoint has no site name after /${managedPath}/: ${mountpoint}`);
+  }
+
+  const data = {
+    host: url.host,
+    site,
+    siteCollection: `/${managedPath.toLowerCase()}/${site}`,
+  };
+  if (tokenized) {
+    return { ...data, sharingUrl: mountpoint };
+  }
+
+  const [library, ...folderSegments] = librarySegments;
+  if (!library) {
+    throw new Error(`SharePoint mountpoint has no document library (i.e. Shared Documents) after the site ${data.siteCollection}: ${mountpoint}`);
+  }
+  if (folderSegments.some((segment) => /\.aspx$/i.test(segment)) || folderSegments[0] === 'Forms') {
+    throw new Error(`SharePoint mountpoint is a library page, not a folder. Open the folder and copy its link instead: ${mountpoint}`);
+  }
+
+  const decodedPath = [library, ...folderSegments].join('/');
+  return {
+    ...data,
+    library,
+    folderPath: folderSegments.join('/'),
+    decodedPath,
+    path: decodedPath.split('/').map((segment) => encodeURIComponent(segment)).join('/'),
+  };
+}
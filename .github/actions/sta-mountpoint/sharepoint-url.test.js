@@ -0,0 +1,65 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseSharePointUrl } from './sharepoint-url.js';
+
+describe('parseSharePointUrl', () => {
+  it('parses a direct sharing link', () => {
+    assert.deepEqual(
+      parseSharePointUrl('https://adobe.sharepoint.com/:f:/r/sites/AEMDemos/Shared%20Documents/sites/my-site?csf=1&web=1'),
+      {
+        host: 'adobe.sharepoint.com',
+        site: 'AEMDemos',
+        siteCollection: '/sites/AEMDemos',
+        library: 'Shared Documents',
+        folderPath: 'sites/my-site',
+        decodedPath: 'Shared Documents/sites/my-site',
+        path: 'Shared%20Documents/sites/my-site',
+      },
+    );
+  });
+
+  it('parses a tokenized sharing link of a site', () => {
+    const url = 'https://adobe.sharepoint.com/:f:/s/AEMDemos/EaBcDeF?e=xyz';
+    assert.deepEqual(parseSharePointUrl(url), {
+      host: 'adobe.sharepoint.com',
+      site: 'AEMDemos',
+      siteCollection: '/sites/AEMDemos',
+      sharingUrl: url,
+    });
+  });
+
+  it('parses a tokenized sharing link of a team site', () => {
+    const url = 'https://adobe.sharepoint.com/:f:/t/Marketing/EaBcDeF?e=xyz';
+    assert.deepEqual(parseSharePointUrl(url), {
+      host: 'adobe.sharepoint.com',
+      site: 'Marketing',
+      siteCollection: '/teams/Marketing',
+      sharingUrl: url,
+    });
+  });
+
+  it('parses the folder url of a team site', () => {
+    const data = parseSharePointUrl('https://adobe.sharepoint.com/teams/Marketing/Documents/web');
+    assert.equal(data.siteCollection, '/teams/Marketing');
+    assert.equal(data.decodedPath, 'Documents/web');
+  });
+
+  it('rejects other sharing link types', () => {
+    assert.throws(
+      () => parseSharePointUrl('https://adobe.sharepoint.com/:f:/g/AEMDemos/EaBcDeF'),
+      /sharing links of type 'g' are not supported/,
+    );
+  });
+});
@@ -11,84 +11,170 @@
  */
 
 import core from '@actions/core';
+import path from 'path';
+import fs from 'fs';
+import { getNestedMountpoints, readFstab, resolveMountpoint } from './fstab.js';
+import { parseSharePointUrl } from './sharepoint-url.js';
+
+const MOUNTPOINT_TYPES = ['sharepoint', 'crosswalk', 'da', 'google'];
+
+/**
+ * Determine the type of a mountpoint from its url.
+ * @param {string} mountpoint The mountpoint url.
+ * @returns {string} One of MOUNTPOINT_TYPES.
+ */
+function getMountpointType(mountpoint) {
+  if (/sharepoint/i.test(mountpoint)) {
+    return 'sharepoint';
+  }
+  if (/adobeaemcloud/i.test(mountpoint)) {
+    return 'crosswalk';
+  }
+  if (/^https:\/\/(content\.)?da\.live(\/|$)/i.test(mountpoint)) {
+    return 'da';
+  }
+  if (/^https:\/\/drive\.google\.com(\/|$)/i.test(mountpoint)) {
+    return 'google';
+  }
+  if (/dropbox/i.test(mountpoint)) {
+    throw new Error('Dropbox is not supported for upload.');
+  }
+  if (/github\.com/i.test(mountpoint)) {
+    throw new Error('GitHub is not supported for upload.');
+  }
+  throw new Error(`This mountpoint is not supported for upload: ${mountpoint}`);
+}
 
 /**
  * Extracts the mountpoint data from the given mountpoint value.
  * @param {string} rootMountpoint
  * @param {string} type
- * @returns {{}}
+ * @returns {Object}
  */
 function getMountpointData(rootMountpoint, type) {
+  if (type === 'sharepoint') {
+    // the host, site (collection), library and folder path of any sharing link shape,
+    // i.e. "https://adobe.sharepoint.com/:f:/r/sites/AEMDemos/Shared%20Documents/sites/esaas-demos/repo_name"
+    return parseSharePointUrl(rootMountpoint);
+  }
+
   const url = new URL(rootMountpoint);
   const mountpointData = {
     host: `${url.host}`,
   };
 
-  if (type === 'sharepoint') {
-    let pathParts;
-    // the format looks something like
-    // "https://adobe.sharepoint.com/:f:/r/sites/AEMDemos/Shared%20Documents/sites/esaas-demos/repo_name"
-    // we want to get the site name and the rest of the path
-    const sitesParts = url.pathname.split('/sites/');
-
-    // [0] :fr:/r
-    // [1] AEMDemos
-    // [2...] Shared%20Documents/sites/esaas-demos/repo_name
-
-    // this gets us the site name (AEMDemos) and the rest of the path
-    [mountpointData.site, ...pathParts] = sitesParts[1].split('/');
-
-    // take all the paths and join them into a single path string
-    mountpointData.path = pathParts.join('/');
-
-    // if we have a properly constucted mountpoint, we should have 3 parts in the path
-    if (sitesParts.length === 3) {
-      // the path then becomes /AEMDemos/Shared Documents/sites/esaas-demos/repo_name
-      mountpointData.path = `${mountpointData.path}/sites/${sitesParts[2]}`;
+  if (type === 'crosswalk') {
+    mountpointData.path = url.pathname.substring(1);
+  } else if (type === 'da') {
+    // the format looks like "https://content.da.live/my-org/my-site/optional/base/path"
+    // or, for a link copied from the DA editor, "https://da.live/#/my-org/my-site/..."
+    const daPath = url.host === 'da.live' ? url.hash.replace(/^#/, '') : url.pathname;
+    const [org, site, ...basePath] = daPath.split('/').filter((segment) => segment.length > 0);
+    if (!org || !site) {
+      throw new Error(`DA mountpoint is not in the expected format (https://content.da.live/<org>/<site>/...): ${rootMountpoint}`);
     }
-
-    //  if we don't have all the parts, throw an error
-    if (!mountpointData.host || !mountpointData.site || !mountpointData.path) {
-      throw new Error('Mountpoint is not in the expected format.');
+    mountpointData.org = org;
+    mountpointData.site = site;
+    mountpointData.path = basePath.map((segment) => decodeURIComponent(segment)).join('/');
+  } else if (type === 'google') {
+    // the format looks like "https://drive.google.com/drive/folders/<folder id>?usp=sharing",
+    // "https://drive.google.com/drive/u/0/folders/<folder id>" or, for older links,
+    // "https://drive.google.com/open?id=<folder id>"
+    const [, folderId] = url.pathname.match(/\/folders\/([\w-]+)/) || [];
+    mountpointData.folderId = folderId || url.searchParams.get('id');
+    if (!mountpointData.folderId) {
+      throw new Error(`Google Drive mountpoint must be a folder url (https://drive.google.com/drive/folders/<folder id>): ${rootMountpoint}`);
     }
-  } else if (type === 'crosswalk') {
-    mountpointData.path = url.pathname.substring(1);
   }
 
-  core.info(`✅ Mountpoint Data: ${JSON.stringify(mountpointData, undefined, 2)}`);
+  return mountpointData;
+}
 
-  return JSON.stringify(mountpointData);
+/**
+ * Describe every mountpoint for the map output: its url, type and data, or why it
+ * is not supported for upload.  An unsupported mountpoint (i.e. a Dropbox
+ * sub-mount) does not prevent uploads to the others.
+ * @param {Array<{path: string, url: string, declaredType?: string}>} mountpoints
+ * @returns {Object} The mountpoints by path.
+ */
+function getMountpointMap(mountpoints) {
+  return Object.fromEntries(mountpoints.map(({ path: mountPath, url, declaredType }) => {
+    const entry = { url, ...(declaredType && { declaredType }) };
+    try {
+      entry.type = getMountpointType(url);
+      entry.data = getMountpointData(url, entry.type);
+    } catch (error) {
+      entry.type = 'unknown';
+      entry.error = error.message;
+    }
+    return [mountPath, entry];
+  }));
 }
 
 /**
- * Reads the fstab.yaml file and determines the mountpoint type.
+ * Read the mountpoints: those of the fstab.yaml file, if there is one, where the given
+ * root mountpoint (if any) replaces the fstab's root mountpoint.
+ * @param {string} mountpointInput The root mountpoint, if given.
+ * @param {string} fstabPath
+ * @returns {Array<{path: string, url: string, declaredType?: string}>}
+ */
+function getMountpoints(mountpointInput, fstabPath) {
+  if (!fs.existsSync(fstabPath)) {
+    if (!mountpointInput) {
+      throw new Error(`No mountpoint was provided and there is no fstab at ${fstabPath}.`);
+    }
+    return [{ path: '/', url: mountpointInput }];
+  }
+
+  const mountpoints = readFstab(fstabPath);
+  core.info(`✅ Read ${mountpoints.length} mountpoint(s) from ${fstabPath}.`);
+  if (!mountpointInput) {
+    return mountpoints;
+  }
+  const fstabRoot = mountpoints.find((mountpoint) => mountpoint.path === '/');
+  if (fstabRoot && fstabRoot.url !== mountpointInput) {
+    core.info(`The provided root mountpoint replaces the fstab's: ${fstabRoot.url}`);
+  }
+  return [
+    { path: '/', url: mountpointInput },
+    ...mountpoints.filter((mountpoint) => mountpoint.path !== '/'),
+  ];
+}
+
+/**
+ * Reads the fstab.yaml file (and the given root mountpoint) and determines
+ * the mountpoint owning the content path, and its type.
  * If successful, ensures the type matches the provided desired type.
+ * The content of the mountpoints nested in it (i.e. /blog in /) is owned by those
+ * mountpoints, so it is reported as globs for the import zip to exclude, rather than
+ * uploaded to the owning mountpoint.
  * @returns {Promise<void>}
  */
 export async function run() {
   try {
     const desiredMountpointType = core.getInput('mountpoint_type');
-    if (!['sharepoint', 'crosswalk'].includes(desiredMountpointType)) {
+    if (!MOUNTPOINT_TYPES.includes(desiredMountpointType)) {
       throw new Error(`Invalid requested mountpoint type: ${desiredMountpointType}`);
     }
 
-    const rootEntry = core.getInput('mountpoint');
-    core.info(`✅ Mountpoint provided: ${rootEntry}`);
-
-    // Determine the type
-    let type = 'unknown';
-    if (/sharepoint/i.test(rootEntry)) {
-      type = 'sharepoint';
-    } else if (/adobeaemcloud/i.test(rootEntry)) {
-      type = 'crosswalk';
-    } else if (/drive\.google\.com/i.test(rootEntry)) {
-      throw new Error('Google is not supported for upload yet.');
-    } else if (/dropbox/i.test(rootEntry)) {
-      throw new Error('Dropbox is not supported for upload.');
-    } else if (/github\.com/i.test(rootEntry)) {
-      throw new Error('GitHub is not supported for upload.');
-    } else {
-      throw new Error(`This mountpoint is not supported for upload: ${rootEntry}`);
+    const fstabPath = core.getInput('fstab_path')
+      || path.join(process.env.GITHUB_WORKSPACE || '.', 'fstab.yaml');
+    const mountpoints = getMountpoints(core.getInput('mountpoint'), fstabPath);
+    const mountpointMap = getMountpointMap(mountpoints);
+    core.setOutput('mountpoints', JSON.stringify(mountpointMap));
+
+    const contentPath = core.getInput('content_path') || '/';
+    const resolved = resolveMountpoint(mountpoints, contentPath);
+    if (!resolved) {
+      throw new Error(`No mountpoint owns the content path ${contentPath}.`);
+    }
+    const { mountpoint, relativePath } = resolved;
+    const rootEntry = mountpoint.url;
+    core.info(`✅ Mountpoint provided: ${rootEntry} (${mountpoint.path}, owning ${contentPath})`);
+
+    const { type, data, error } = mountpointMap[mountpoint.path];
+    if (error) {
+      throw new Error(error);
     }
 
     if (type !== desiredMountpointType) {
@@ -96,9 +182,20 @@ export async function run() {
     }
 
     core.setOutput('mountpoint', rootEntry);
+    core.setOutput('mountpoint_path', mountpoint.path);
+    core.setOutput('relative_path', relativePath);
+
+    const nested = getNestedMountpoints(mountpoints, mountpoint);
+    nested.forEach(({ path: nestedPath, url }) => {
+      core.warning(`The content under ${nestedPath} belongs to the ${url} mountpoint, so it is not uploaded to ${rootEntry}.`);
+    });
+    core.setOutput('nested_mountpoints', JSON.stringify(nested.map(({ path: nestedPath }) => nestedPath)));
+    // The import zip has a top folder per format (i.e. docx/blog/...), hence the '*/'.
+    core.setOutput('nested_exclude', nested.map(({ path: nestedPath }) => `*${nestedPath}`).join(','));
     core.setOutput('type', type);
     core.info(`✅ Type: ${type}`);
-    core.setOutput('data', getMountpointData(rootEntry, type));
+    core.info(`✅ Mountpoint Data: ${JSON.stringify(data, undefined, 2)}`);
+    core.setOutput('data', JSON.stringify(data));
   } catch (error) {
     core.warning(`❌ Error: ${error.message}`);
     core.setOutput('error_message', `❌ Error: ${error.message}`);
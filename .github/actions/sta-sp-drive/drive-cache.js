@@ -0,0 +1,87 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const CACHE_NAME = 'sta-sp-drive-cache.json';
+
+/**
+ * Get the path of the cache file: the given one, or one in the runner's temp
+ * directory, which is shared by all steps of the job (and cleaned up after it).
+ * @param {string} [cachePath]
+ * @returns {string}
+ */
+export function getCachePath(cachePath) {
+  return cachePath || path.join(process.env.RUNNER_TEMP || os.tmpdir(), CACHE_NAME);
+}
+
+/**
+ * Get the key a lookup is cached under.
+ * @param {Object} lookup The host, site path, decoded folder path and sharing url.
+ * @returns {string}
+ */
+export function getCacheKey({
+  host,
+  sitePath,
+  folderPath,
+  sharingUrl,
+}) {
+  return sharingUrl || `${host.toLowerCase()}:${sitePath}:${folderPath}`;
+}
+
+/**
+ * Read all the cached lookups.  The cache only saves Graph calls, so an unreadable
+ * cache is ignored.
+ * @param {string} cachePath
+ * @returns {Object} The cached lookups by key.
+ */
+function readCache(cachePath) {
+  if (!fs.existsSync(cachePath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (error) {
+    core.warning(`Ignoring the unreadable drive cache ${cachePath}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Get a cached lookup.
+ * @param {string} cachePath
+ * @param {string} key
+ * @returns {Object|undefined} The site, drive and folder id, if cached.
+ */
+export function getCachedLookup(cachePath, key) {
+  return readCache(cachePath)[key];
+}
+
+/**
+ * Cache a lookup, for later steps of the job.
+ * @param {string} cachePath
+ * @param {string} key
+ * @param {Object} lookup The site, drive and folder id.
+ */
+export function cacheLookup(cachePath, key, lookup) {
+  try {
+    const cache = readCache(cachePath);
+    cache[key] = { ...lookup, cachedAt: new Date().toISOString() };
+    fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+    fs.writeFileSync(cachePath, JSON.stringify(cache, undefined, 2));
+  } catch (error) {
+    core.warning(`Failed to write the drive cache ${cachePath}: ${error.message}`);
+  }
+}
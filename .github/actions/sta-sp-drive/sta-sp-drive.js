@@ -11,125 +11,430 @@
  */
 
 import core from '@actions/core';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  cacheLookup,
+  getCachedLookup,
+  getCacheKey,
+  getCachePath,
+} from './drive-cache.js';
 
 const GRAPH_API = 'https://graph.microsoft.com/v1.0';
+const INVENTORY_NAME = 'sta-sp-inventory.json';
+// The drive item fields the inventory is made of.
+const INVENTORY_FIELDS = 'id,name,size,eTag,lastModifiedDateTime,file,folder,root,deleted,parentReference,publication';
 
-async function graphFetch(token, endpoint) {
-  core.info(`Fetching Graph API endpoint: ${GRAPH_API}${endpoint}`);
-  const res = await fetch(`${GRAPH_API}${endpoint}`, {
+/**
+ * Fetch a Graph API endpoint.
+ * @param {string} token
+ * @param {string} endpoint The endpoint, relative to the Graph API, or an absolute url
+ *                          (i.e. an @odata.nextLink).
+ * @param {Object} [body] The JSON body to POST, if any.
+ * @returns {Promise<Object>}
+ */
+async function graphFetch(token, endpoint, body) {
+  const url = endpoint.startsWith('https://') ? endpoint : `${GRAPH_API}${endpoint}`;
+  core.info(`${body ? 'Posting to' : 'Fetching'} Graph API endpoint: ${url}`);
+  const res = await fetch(url, {
+    ...(body && { method: 'POST', body: JSON.stringify(body) }),
     headers: {
       Authorization: `Bearer ${token}`,
       Accept: 'application/json',
+      ...(body && { 'Content-Type': 'application/json' }),
     },
   });
 
   if (!res.ok) {
     const errorText = await res.text();
     core.warning(`Graph API error ${res.status}: ${errorText}`);
-    throw new Error(`Graph API error ${res.status}: ${errorText}`);
+    const error = new Error(`Graph API error ${res.status}: ${errorText}`);
+    error.status = res.status;
+    throw error;
   }
 
   return res.json();
 }
 
 /**
- * Step through the folder, one by one, skipping the root 'documents' folder and
- * extract information about the folder.  This allows more precise error handling
- * to indicate which segment of the path was not found.
+ * Fetch all the pages of a Graph API collection, following the @odata.nextLink.
  * @param {string} token
- * @param {string} driveId id for the root document drive
- * @param {string} folderPath
- * @returns {Promise<{driveId: string, folderId: string}>}
+ * @param {string} endpoint
+ * @returns {Promise<Array<Object>>} The values of all pages.
+ */
+async function graphFetchAll(token, endpoint) {
+  const values = [];
+  let nextLink = endpoint;
+  while (nextLink) {
+    const page = await graphFetch(token, nextLink);
+    values.push(...(page.value || []));
+    nextLink = page['@odata.nextLink'];
+  }
+  return values;
+}
+
+/**
+ * Get the library name in the url of a drive, which may differ from its (display)
+ * name, i.e. 'Shared Documents' for the 'Documents' drive.
+ * @param {Object} drive
+ * @returns {string|undefined}
+ */
+function getDriveUrlName(drive) {
+  try {
+    return decodeURIComponent(new URL(drive.webUrl).pathname.split('/').pop());
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Find the drive of the document library the folder path starts with, by name or by
+ * the name in its url.  If the site has a single 'Documents' drive, that is the one.
+ * @param {Array<Object>} drives
+ * @param {string} library The first segment of the decoded folder path.
+ * @returns {{drive: Object, inLibrary: boolean}|undefined} The drive and whether it
+ *          was found by the library, in which case the folder path is relative to it.
  */
-async function getFolderByPath(token, driveId, folderPath) {
-  const segments = folderPath.split('/'); // break the path into parts
-  if (segments[0] === 'Documents' || segments[0] === 'Shared%20Documents') {
-    segments.shift();
+function findDrive(drives, library) {
+  const drive = drives.find((dr) => dr.name === library)
+    || drives.find((dr) => getDriveUrlName(dr) === library);
+  if (drive) {
+    core.debug(`✔️ Found ${library} with a drive id of ${drive.id}`);
+    return { drive, inLibrary: true };
+  }
+  if (drives.length === 1 && drives[0].name === 'Documents') {
+    core.debug(`✔️ Found default drive 'Documents' with a drive id of ${drives[0].id}`);
+    return { drive: drives[0], inLibrary: false };
   }
+  return undefined;
+}
+
+/**
+ * Create a folder.
+ * @param {string} token
+ * @param {string} driveId
+ * @param {string} parentId
+ * @param {string} name
+ * @returns {Promise<Object>} The created folder.
+ */
+async function createFolder(token, driveId, parentId, name) {
+  return graphFetch(token, `/drives/${driveId}/items/${parentId}/children`, {
+    name,
+    folder: {},
+    '@microsoft.graph.conflictBehavior': 'fail',
+  });
+}
+
+/**
+ * Step through the folder, one by one, and extract information about the folder.
+ * This allows more precise error handling to indicate which segment of the path
+ * was not found, or creating the missing segments.
+ * @param {string} token
+ * @param {string} driveId id for the root document drive
+ * @param {string[]} segments The decoded folder path segments, relative to the drive.
+ * @param {boolean} createMissing If true, the segments that are not found are created.
+ * @returns {Promise<{driveId: string, folderId: string, createdSegments: string[]}>}
+ */
+async function getFolderBySegments(token, driveId, segments, createMissing) {
   let currentId = 'root'; // start at root
-  let segmentDriveId;
+  let segmentDriveId = driveId;
   let currentPath = '';
+  const createdSegments = [];
 
   for (const segment of segments) {
-    currentPath += `/${segment}`;
+    currentPath += `/${encodeURIComponent(segment)}`;
+    let result;
     try {
-      const result = await graphFetch(token, `/drives/${driveId}/root:${currentPath}`);
-      currentId = result.id;
-      segmentDriveId = result.parentReference.driveId;
-      core.debug(`✔️ Found data for ${currentPath} (id: ${currentId} with drive id ${driveId})`);
+      // Once a segment is created, the ones below it are missing too.
+      result = createdSegments.length === 0
+        ? await graphFetch(token, `/drives/${driveId}/root:${currentPath}`)
+        : undefined;
     } catch (err) {
-      throw new Error(`Segment not found: ${currentPath}`);
+      if (!createMissing || err.status !== 404) {
+        throw new Error(`Segment not found: ${decodeURIComponent(currentPath)}`);
+      }
+    }
+    if (!result) {
+      try {
+        result = await createFolder(token, driveId, currentId, segment);
+      } catch (err) {
+        throw new Error(`Failed to create the missing segment ${decodeURIComponent(currentPath)}: ${err.message}`);
+      }
+      createdSegments.push(decodeURIComponent(currentPath));
+      core.info(`✔️ Created ${decodeURIComponent(currentPath)} (id: ${result.id})`);
     }
+    currentId = result.id;
+    segmentDriveId = result.parentReference.driveId;
+    core.debug(`✔️ Found data for ${currentPath} (id: ${currentId} with drive id ${driveId})`);
   }
 
   return {
     folderId: currentId,
     driveId: segmentDriveId,
+    createdSegments,
   };
 }
 
 /**
- * Get the site and drive ID for a SharePoint site.
- * @returns {Promise<void>}
+ * Get the folder with a single lookup of its path, falling back to stepping through
+ * the segments to indicate which one was not found (or to create the missing ones).
+ * @param {string} token
+ * @param {string} driveId id for the root document drive
+ * @param {string[]} segments The decoded folder path segments, relative to the drive.
+ * @param {boolean} createMissing If true, the segments that are not found are created.
+ * @returns {Promise<{driveId: string, folderId: string, createdSegments: string[]}>}
  */
-export async function run() {
-  const token = core.getInput('token');
-  const spHost = core.getInput('sp_host'); // i.e. adobe.sharepoint.com
-  const spSitePath = core.getInput('sp_site_path'); // i.e. AEMDemos
-  const spFolderPath = core.getInput('sp_folder_path'); // i.e. Shared%20Documents/sites/my-site/...
-  const decodedFolderPath = decodeURIComponent(spFolderPath); // decode the spaces, etc.
+async function getFolderByPath(token, driveId, segments, createMissing) {
+  const itemPath = segments.map((segment) => encodeURIComponent(segment)).join('/');
+  try {
+    const result = await graphFetch(token, `/drives/${driveId}/${itemPath ? `root:/${itemPath}` : 'root'}`);
+    if (!result.folder) {
+      throw new Error(`/${segments.join('/')} is not a folder.`);
+    }
+    core.debug(`✔️ Found data for /${segments.join('/')} (id: ${result.id} with drive id ${driveId})`);
+    return {
+      folderId: result.id,
+      driveId: result.parentReference?.driveId || driveId,
+      createdSegments: [],
+    };
+  } catch (error) {
+    core.info(`Falling back to a lookup per segment: ${error.message}`);
+    return getFolderBySegments(token, driveId, segments, createMissing);
+  }
+}
 
-  core.info(`Getting data for "${spHost} : ${spSitePath} : ${decodedFolderPath}".`);
+/**
+ * Get the drive and folder id a (tokenized) sharing link points to, as these links do
+ * not contain the folder path.
+ * @param {string} token
+ * @param {string} sharingUrl i.e. https://adobe.sharepoint.com/:f:/s/AEMDemos/EaBcD...
+ * @returns {Promise<{driveId: string, folderId: string}>}
+ */
+async function getFolderBySharingUrl(token, sharingUrl) {
+  const shareId = `u!${Buffer.from(sharingUrl).toString('base64url')}`;
+  const item = await graphFetch(token, `/shares/${shareId}/driveItem`);
+  if (!item.folder) {
+    throw new Error(`The sharing link does not point to a folder: ${sharingUrl}`);
+  }
+  return {
+    folderId: item.id,
+    driveId: item.parentReference.driveId,
+  };
+}
 
+/**
+ * Look up the site, drive and folder id of the folder path.
+ * @param {string} token
+ * @param {string} spHost
+ * @param {string} spSitePath
+ * @param {string} decodedFolderPath
+ * @param {boolean} createMissing If true, the missing folders of the path are created.
+ * @returns {Promise<{siteId: string, driveId: string, folderId: string,
+ *          createdSegments: string[]}>}
+ */
+async function lookUpFolder(token, spHost, spSitePath, decodedFolderPath, createMissing) {
   let siteId;
   try {
     // Step 1: Get Site ID
-    const site = await graphFetch(token, `/sites/${spHost}:/sites/${spSitePath}`);
+    // the site path is either the site collection (i.e. /teams/Marketing) or a site under /sites/
+    const siteCollection = spSitePath.startsWith('/') ? spSitePath : `/sites/${spSitePath}`;
+    const site = await graphFetch(token, `/sites/${spHost}:${siteCollection}`);
     siteId = site.id;
     core.info(`✔️ Site ID: ${siteId}`);
   } catch (siteError) {
-    core.warning(`Failed to get Site Id: ${siteError.message}`);
-    core.setOutput('error_message', `❌ Error: Failed to get Site Id: ${siteError.message}`);
-    return;
+    throw new Error(`Failed to get Site Id: ${siteError.message}`);
   }
 
-  // Now find the (root) drive id.
-  const rootDrive = decodedFolderPath.split('/').shift();
-  let driveId;
+  // Now find the (root) drive id, among all pages of drives.
+  const segments = decodedFolderPath.split('/').filter((segment) => segment.length > 0);
+  let found;
   try {
-    const driveResponse = await graphFetch(token, `/sites/${siteId}/drives`);
-    core.debug(`✔️ Found ${driveResponse.value.length} drives in site ${siteId}.`);
-    const sharedDocumentsDrive = driveResponse.value.find((dr) => dr.name === rootDrive);
-    if (sharedDocumentsDrive) {
-      driveId = sharedDocumentsDrive.id;
-      core.debug(`✔️ Found ${rootDrive} with a drive id of ${driveId}`);
-    }
-    if (!driveId && driveResponse?.value.length === 1 && driveResponse.value[0].name === 'Documents') {
-      driveId = driveResponse.value[0].id;
-      core.debug(`✔️ Found default drive 'Documents' with a drive id of ${driveId}`);
-    }
+    const drives = await graphFetchAll(token, `/sites/${siteId}/drives?$select=id,name,webUrl`);
+    core.debug(`✔️ Found ${drives.length} drives in site ${siteId}.`);
+    found = findDrive(drives, segments[0]);
   } catch (driveError) {
-    core.warning(`Failed to get Drive Id: ${driveError.message}`);
-    core.setOutput('error_message', '❌ Error: Failed to get Site Id.');
-    return;
+    throw new Error(`Failed to get Drive Id: ${driveError.message}`);
+  }
+  if (!found) {
+    throw new Error(`Failed to get Drive Id: no drive named ${segments[0]} in site ${siteId}.`);
+  }
+
+  // Now get the folder id, relative to the drive.
+  const folderSegments = found.inLibrary || ['Documents', 'Shared Documents'].includes(segments[0])
+    ? segments.slice(1)
+    : segments;
+  try {
+    const folder = await getFolderByPath(token, found.drive.id, folderSegments, createMissing);
+    return { siteId, ...folder };
+  } catch (folderError) {
+    throw new Error(`Failed to get folder info for ${siteId} / ${decodedFolderPath}: ${folderError.message}`);
+  }
+}
+
+/**
+ * Describe a drive item for the inventory.
+ * @param {Object} item The drive item.
+ * @param {string} itemPath The decoded path of the item, relative to the inventoried folder.
+ * @returns {Object}
+ */
+function toInventoryItem(item, itemPath) {
+  return {
+    id: item.id,
+    name: item.name,
+    path: itemPath,
+    type: item.folder ? 'folder' : 'file',
+    size: item.size,
+    eTag: item.eTag,
+    lastModified: item.lastModifiedDateTime,
+    checkedOut: item.publication?.level === 'checkout',
+    ...(item.file?.hashes?.quickXorHash && { quickXorHash: item.file.hashes.quickXorHash }),
+  };
+}
+
+/**
+ * List everything under the root of a drive with a single (paged) delta query.  Delta
+ * items have no parent path, so the paths are rebuilt from the parent ids.
+ * @param {string} token
+ * @param {string} driveId
+ * @returns {Promise<Array<Object>>} The inventory items.
+ */
+async function listDriveByDelta(token, driveId) {
+  const items = (await graphFetchAll(token, `/drives/${driveId}/root/delta?$select=${INVENTORY_FIELDS}`))
+    .filter((item) => !item.deleted);
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const getPath = (item) => {
+    if (item.root) {
+      return '';
+    }
+    const parent = itemsById.get(item.parentReference?.id);
+    return `${parent ? getPath(parent) : ''}/${item.name}`;
+  };
+
+  return items
+    .filter((item) => !item.root)
+    .map((item) => toInventoryItem(item, getPath(item)));
+}
+
+/**
+ * List everything under a folder, paging through the children of each folder.
+ * @param {string} token
+ * @param {string} driveId
+ * @param {string} folderId
+ * @returns {Promise<Array<Object>>} The inventory items.
+ */
+async function listFolderByChildren(token, driveId, folderId) {
+  const items = [];
+  const folders = [{ id: folderId, path: '' }];
+  while (folders.length > 0) {
+    const folder = folders.shift();
+    const children = await graphFetchAll(token, `/drives/${driveId}/items/${folder.id}/children?$select=${INVENTORY_FIELDS}&$top=999`);
+    children.forEach((child) => {
+      const item = toInventoryItem(child, `${folder.path}/${child.name}`);
+      items.push(item);
+      if (item.type === 'folder') {
+        folders.push(item);
+      }
+    });
   }
+  return items;
+}
 
-  // Now get the folder id.
-  let folder;
-  if (siteId && driveId) {
+/**
+ * Recursively list the mountpoint folder and write the inventory as JSON, for other
+ * steps to compare with the import.  The root of a drive is listed with a delta query,
+ * other folders by paging their children (as SharePoint only supports delta on the root).
+ * @param {string} token
+ * @param {{driveId: string, folderId: string}} folder
+ * @param {string} inventoryPath
+ * @returns {Promise<number>} The number of inventoried items.
+ */
+async function writeInventory(token, folder, inventoryPath) {
+  const { driveId, folderId } = folder;
+  const { root } = await graphFetch(token, `/drives/${driveId}/items/${folderId}?$select=id,root`);
+  const items = root
+    ? await listDriveByDelta(token, driveId)
+    : await listFolderByChildren(token, driveId, folderId);
+  items.sort((a, b) => a.path.localeCompare(b.path));
+
+  fs.mkdirSync(path.dirname(inventoryPath), { recursive: true });
+  fs.writeFileSync(inventoryPath, JSON.stringify({
+    driveId,
+    folderId,
+    createdAt: new Date().toISOString(),
+    files: items.filter((item) => item.type === 'file').length,
+    folders: items.filter((item) => item.type === 'folder').length,
+    items,
+  }, undefined, 2));
+  return items.length;
+}
+
+/**
+ * Get the site and drive ID for a SharePoint site.  Lookups are cached in a file, so
+ * later steps of the job looking up the same folder do not call Graph again.
+ * @returns {Promise<void>}
+ */
+export async function run() {
+  const token = core.getInput('token');
+  const spHost = core.getInput('sp_host'); // i.e. adobe.sharepoint.com
+  const spSitePath = core.getInput('sp_site_path'); // i.e. AEMDemos, /sites/AEMDemos or /teams/Marketing
+  const spFolderPath = core.getInput('sp_folder_path'); // i.e. Shared%20Documents/sites/my-site/...
+  const decodedFolderPath = decodeURIComponent(spFolderPath); // decode the spaces, etc.
+  const spSharingUrl = core.getInput('sp_sharing_url');
+  const createMissing = core.getInput('create_missing') === 'true';
+  const useCache = core.getInput('cache') !== 'false';
+  const cachePath = getCachePath(core.getInput('cache_path'));
+  const cacheKey = getCacheKey({
+    host: spHost,
+    sitePath: spSitePath,
+    folderPath: decodedFolderPath,
+    sharingUrl: spSharingUrl,
+  });
+
+  let folder = useCache ? getCachedLookup(cachePath, cacheKey) : undefined;
+  core.setOutput('cached', String(!!folder));
+  if (folder) {
+    core.info(`✔️ Using the cached lookup of "${cacheKey}" from ${folder.cachedAt}.`);
+  } else {
     try {
-      folder = await getFolderByPath(token, driveId, spFolderPath);
-    } catch (folderError) {
-      core.warning(`Failed to get folder info for ${siteId} / ${decodedFolderPath}: ${folderError.message}`);
+      if (spSharingUrl) {
+        core.info(`Getting data for the sharing link "${spSharingUrl}".`);
+        folder = await getFolderBySharingUrl(token, spSharingUrl);
+      } else {
+        core.info(`Getting data for "${spHost} : ${spSitePath} : ${decodedFolderPath}".`);
+        folder = await lookUpFolder(token, spHost, spSitePath, decodedFolderPath, createMissing);
+      }
+    } catch (error) {
+      core.warning(error.message);
+      core.setOutput('error_message', `❌ Error: Failed to get drive and folder id of the mountpoint. ${error.message}`);
+      return;
+    }
+    if (useCache) {
+      const { createdSegments, ...lookup } = folder;
+      cacheLookup(cachePath, cacheKey, lookup);
     }
+  }
 
-    if (folder) {
-      core.info(`✅ Drive ID: ${folder.driveId}`);
-      core.info(`✅ Folder ID: ${folder.folderId}`);
-      core.setOutput('drive_id', folder.driveId);
-      core.setOutput('folder_id', folder.folderId);
-    } else {
-      core.setOutput('error_message', '❌ Error: Failed to get drive and folder id of the mountpoint.');
+  core.info(`✅ Drive ID: ${folder.driveId}`);
+  core.info(`✅ Folder ID: ${folder.folderId}`);
+  if (folder.siteId) {
+    core.setOutput('site_id', folder.siteId);
+  }
+  core.setOutput('drive_id', folder.driveId);
+  core.setOutput('folder_id', folder.folderId);
+  core.setOutput('created_segments', (folder.createdSegments || []).join(', '));
+
+  if (core.getInput('inventory') === 'true') {
+    const inventoryPath = core.getInput('inventory_path')
+      || path.join(process.env.RUNNER_TEMP || os.tmpdir(), INVENTORY_NAME);
+    try {
+      const count = await writeInventory(token, folder, inventoryPath);
+      core.info(`✅ Inventory of ${count} items written to ${inventoryPath}.`);
+      core.setOutput('inventory_path', inventoryPath);
+      core.setOutput('inventory_count', String(count));
+    } catch (error) {
+      core.warning(`Failed to inventory the mountpoint folder: ${error.message}`);
+      core.setOutput('error_message', `❌ Error: Failed to inventory the mountpoint folder. ${error.message}`);
     }
   }
 }
@@ -11,6 +11,8 @@
  */
 
 import core from '@actions/core';
+import fs from 'fs';
+import { dirname } from 'path';
 
 const HLX_ADM_API = 'https://admin.hlx.page';
 const OP_LABEL = {
@@ -34,6 +36,44 @@ function removeExtension(path) {
   return path.slice(0, lastSlash + 1) + fileName.slice(0, dotIndex);
 }
 
+/**
+ * Read the paths that an earlier attempt completed, by operation.  The checkpoint only
+ * saves work, so an unreadable checkpoint is ignored.
+ * @param {string} [checkpointPath]
+ * @returns {{preview: Set<string>, live: Set<string>}}
+ */
+function readCheckpoint(checkpointPath) {
+  const completed = { preview: [], live: [] };
+  if (checkpointPath && fs.existsSync(checkpointPath)) {
+    try {
+      Object.assign(completed, JSON.parse(fs.readFileSync(checkpointPath, 'utf8')).completed);
+    } catch (error) {
+      core.warning(`Ignoring the unreadable checkpoint ${checkpointPath}: ${error.message}`);
+    }
+  }
+  return { preview: new Set(completed.preview), live: new Set(completed.live) };
+}
+
+/**
+ * Save the paths that were completed, by operation.
+ * @param {string} [checkpointPath]
+ * @param {{preview: Set<string>, live: Set<string>}} completed
+ */
+function saveCheckpoint(checkpointPath, completed) {
+  if (!checkpointPath) {
+    return;
+  }
+  try {
+    fs.mkdirSync(dirname(checkpointPath), { recursive: true });
+    fs.writeFileSync(checkpointPath, JSON.stringify({
+      updatedAt: new Date().toISOString(),
+      completed: { preview: [...completed.preview], live: [...completed.live] },
+    }));
+  } catch (error) {
+    core.warning(`Failed to save the checkpoint ${checkpointPath}: ${error.message}`);
+  }
+}
+
 /**
  * Operate (preview or live) on one path, relative to the
  * endpoint (i.e. ${HLX_ADM_API}/${operation}/${owner}/${repo}/${branch}/)
@@ -97,6 +137,7 @@ export async function run() {
   const context = core.getInput('context');
   const urlsInput = core.getInput('urls');
   const operationInput = core.getInput('operation') || 'preview';
+  const checkpointPath = core.getInput('checkpoint_path');
   const paths = urlsInput.split(',').map((url) => url.trim());
   const operations = [];
 
@@ -130,23 +171,34 @@ export async function run() {
 
   core.debug(`URLs: ${urlsInput}`);
 
+  // The paths an earlier attempt of the workflow completed are not operated on again.
+  const completed = readCheckpoint(checkpointPath);
+
   try {
     for (const operation of operations) {
       const operationLabel = OP_LABEL[operation];
-      core.info(`Performing ${operationLabel} for ${paths.length} urls using ${owner} : ${repo} : ${branch}.`);
+      const pendingPaths = paths.filter((path) => !completed[operation].has(path));
+      const resumed = paths.length - pendingPaths.length;
+      operationReport.successes += resumed;
+      core.info(`Performing ${operationLabel} for ${pendingPaths.length} urls using ${owner} : ${repo} : ${branch}.`);
+      if (resumed > 0) {
+        core.info(`Resuming: ${resumed} urls had the ${operationLabel} completed by an earlier attempt.`);
+      }
 
       const endpoint = `${HLX_ADM_API}/${operation}/${owner}/${repo}/${branch}`;
 
-      for (const path of paths) {
+      for (const path of pendingPaths) {
         core.debug(`.Performing ${operationLabel} operation on path: ${HLX_ADM_API}/${operation}/${owner}/${repo}/${branch}${path}`);
         const successfullyUploaded = await operateOnPath(endpoint, path, operation);
         if (successfullyUploaded) {
           operationReport.successes += 1;
+          completed[operation].add(path);
         } else {
           operationReport.failures += 1;
           operationReport.failureList[operationLabel].push(path);
         }
       }
+      saveCheckpoint(checkpointPath, completed);
     }
 
     core.setOutput('successes', operationReport.successes);
@@ -161,6 +213,7 @@ export async function run() {
   } catch (error) {
     core.warning(`❌ Error: ${error.message}`);
     core.setOutput('error_message', `❌ Error: Failed to ${OP_LABEL[operationInput]} all of the paths.`);
+    saveCheckpoint(checkpointPath, completed);
   }
 }
 
@@ -11,15 +11,73 @@
  */
 
 import core from '@actions/core';
+import crypto from 'crypto';
+import { parseChannels, sendToChannels } from './status-channels.js';
+import { DELIVERY_OUTCOMES, deliverStatus } from './status-delivery.js';
+import { appendToJournal, getJournalPath, summarizeJournal } from './status-journal.js';
+import { getProgressFields, renderMessage } from './status-progress.js';
 
-function getStatusCallParameters(
+const STATUS_TYPES = ['ok', 'error', 'warning', 'progress'];
+// Progress statuses are superseded by the next one, but losing the final
+// 'ok' or 'error' status leaves the job hanging, so those are retried harder.
+const FINAL_STATUS_TYPES = ['ok', 'error'];
+const DEFAULT_MAX_RETRIES = '2';
+const DEFAULT_FINAL_MAX_RETRIES = '6';
+const DEFAULT_RETRY_BASE_DELAY_MS = '1000';
+const SIGNATURE_HEADER = 'x-aemy-signature';
+const TIMESTAMP_HEADER = 'x-aemy-timestamp';
+
+/**
+ * Sign a status call: an HMAC-SHA256 of the timestamp and the body, so the coordinator
+ * can reject forged calls, and replayed ones by checking the timestamp is recent.
+ * A multipart body is serialized first, so what is signed is exactly what is sent.
+ * @param {string|FormData} body
+ * @param {Headers} headers Updated with the signature and timestamp headers.
+ * @param {string} secret
+ * @returns {Promise<string|Buffer>} The body to send.
+ */
+async function signStatusCall(body, headers, secret) {
+  let signedBody = body;
+  if (body instanceof FormData) {
+    const request = new Request('http://localhost', { method: 'POST', body });
+    signedBody = Buffer.from(await request.arrayBuffer());
+    headers.set('Content-Type', request.headers.get('content-type'));
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(signedBody)
+    .digest('hex');
+  headers.set(TIMESTAMP_HEADER, timestamp);
+  headers.set(SIGNATURE_HEADER, `sha256=${signature}`);
+
+  return signedBody;
+}
+
+/**
+ * Create the body and headers of a status call.  The structured progress, if any,
+ * is sent alongside the message rendered with it.  If a signing secret is given,
+ * the call is signed (see signStatusCall).
+ * @param {Object} context
+ * @param {string} apiKey
+ * @param {string} statusType
+ * @param {string} message
+ * @param {Object} progress The progress fields (see getProgressFields).
+ * @param {string} [signingSecret]
+ * @returns {Promise<{body: string|FormData|Buffer, headers: Headers}>}
+ */
+async function getStatusCallParameters(
   context,
   apiKey,
   statusType,
   message,
+  progress,
+  signingSecret,
 ) {
   // TODO Find magic encoding for \\\\\\n instead of JS_LF.
-  const messageLF = message.replaceAll('JS_LF', '\n');
+  const messageLF = renderMessage(message.replaceAll('JS_LF', '\n'), progress);
+  const hasProgress = Object.keys(progress).length > 0;
   const headers = new Headers();
   headers.set('x-api-key', apiKey);
   let body;
@@ -31,7 +89,8 @@ function getStatusCallParameters(
     formData.append('context', contextBlob, 'context.json');
 
     // Add message as "file" information to have the coordinator/Upload handle it.
-    const fileBlob = new Blob([JSON.stringify({ message: messageLF })], { type: 'application/json' });
+    const fileContent = { message: messageLF, ...(hasProgress && { progress }) };
+    const fileBlob = new Blob([JSON.stringify(fileContent)], { type: 'application/json' });
     formData.append('file', fileBlob, 'message.json');
 
     body = formData;
@@ -40,18 +99,121 @@ function getStatusCallParameters(
       context,
       response: {
         message: messageLF,
+        ...(statusType === 'warning' && { severity: 'warning' }),
+        ...(hasProgress && { progress }),
       },
     });
     headers.set('Content-Type', 'application/json');
   }
 
+  if (signingSecret) {
+    body = await signStatusCall(body, headers, signingSecret);
+  }
+
   return { body, headers };
 }
 
 /**
- * Send a status, given the correct action parameters.
- * If statusType === 'error', the process (Workflow) will exit
- * regardless of success or failure of the POST.
+ * Parse a non-negative integer input.
+ * @param {string} name The input name.
+ * @param {string} defaultValue
+ * @returns {number}
+ */
+function getNumberInput(name, defaultValue) {
+  const value = parseInt(core.getInput(name) || defaultValue, 10);
+  if (Number.isNaN(value) || value < 0) {
+    core.warning(`Invalid ${name} "${core.getInput(name)}". Using ${defaultValue}.`);
+    return parseInt(defaultValue, 10);
+  }
+  return value;
+}
+
+/**
+ * Expose the outcome of the status delivery.
+ * @param {{outcome: string, attempts: number, status?: number, error?: string}} delivery
+ */
+function setDeliveryOutputs(delivery) {
+  core.setOutput('delivery', delivery.outcome);
+  core.setOutput('delivery_attempts', delivery.attempts);
+  core.setOutput('delivery_status', delivery.status || '');
+  core.setOutput('delivery_error', delivery.error || '');
+}
+
+/**
+ * Parse the context for the journal and the channels, keeping it as is if it is
+ * not valid JSON.
+ * @param {string} context
+ * @returns {Object|string}
+ */
+function parseContext(context) {
+  try {
+    return JSON.parse(context);
+  } catch (error) {
+    return context;
+  }
+}
+
+/**
+ * Send a status to the coordinator callback url of its status type, unless
+ * parameters are missing.
+ * @param {Object} status The status type, context, message and progress.
+ * @param {string} url The callback url, if any.
+ * @param {Object} retryOptions The retry options (see deliverStatus).
+ * @returns {Promise<{outcome: string, attempts: number, status?: number, error?: string}>}
+ */
+async function sendToCoordinator({
+  statusType,
+  context,
+  message,
+  progress,
+  name,
+}, url, retryOptions) {
+  const apiKey = process.env.AEMY_API_KEY;
+  const signingSecret = process.env.AEMY_SIGNING_SECRET;
+  if (!context || !url || !message || !apiKey) {
+    core.info(`Missing or misconfigured parameters in ${name} call. Skipping status call: "${message}".`);
+    return {
+      outcome: DELIVERY_OUTCOMES.SKIPPED,
+      attempts: 0,
+      error: 'Missing or misconfigured parameters',
+    };
+  }
+
+  try {
+    const parsedContext = JSON.parse(context);
+    const delivery = await deliverStatus(
+      url,
+      () => getStatusCallParameters(
+        parsedContext,
+        apiKey,
+        statusType,
+        message,
+        progress,
+        signingSecret,
+      ),
+      { ...retryOptions, name },
+    );
+
+    if (delivery.outcome === DELIVERY_OUTCOMES.SENT) {
+      core.info(`Status ${statusType}:${message} sent successfully in ${name} call.`);
+    }
+    return delivery;
+  } catch (error) {
+    core.warning(`Error: Failed to send status of type ${statusType} in ${name}: ${error.message}`);
+    return { outcome: DELIVERY_OUTCOMES.FAILED, attempts: 0, error: error.message };
+  }
+}
+
+/**
+ * Send a status, given the correct action parameters, to the coordinator and
+ * to the notification channels configured for its status type.
+ * Failed attempts are retried with exponential backoff, 'ok' and 'error'
+ * statuses more often than 'progress' ones.
+ * Every status, sent or skipped, is appended to the run journal.
+ * A 'warning' reports a partial failure without failing the workflow, and is sent
+ * to the 'warning' callback url if there is one, to the 'progress' one otherwise.
+ * The workflow step fails (regardless of success or failure of the POST) if
+ * fail_workflow is 'true', which by default it is for 'error' statuses only.
  * All "JS_LF" tags are replaced with "\n" in the message.
  * @returns {Promise<void>}
  */
@@ -61,49 +223,97 @@ export async function run() {
   const message = core.getInput('message');
   const statusType = core.getInput('status_type');
   const agentName = core.getInput('agent_name');
+  const journalPath = getJournalPath(core.getInput('journal_path'));
 
   const name = `${agentName || 'sta'}-status`;
 
   core.info(`"${statusType}" status message: "${message}" for ${name}.`);
 
-  if (!['ok', 'error', 'progress'].includes(statusType)) {
-    core.error(`Invalid status type "${statusType}" in ${name}.`);
-    return;
+  const failWorkflow = core.getInput('fail_workflow')
+    ? core.getInput('fail_workflow') === 'true'
+    : statusType === 'error';
+  const progress = getProgressFields();
+  if (core.getInput('include_summary') === 'true') {
+    progress.summary = summarizeJournal(journalPath);
   }
-
-  const apiKey = process.env.AEMY_API_KEY;
+  const renderedMessage = renderMessage(message.replaceAll('JS_LF', '\n'), progress);
+  let url;
+  let delivery = { outcome: DELIVERY_OUTCOMES.SKIPPED, attempts: 0 };
+  let channelDeliveries = [];
 
   try {
-    const coordinatorCallbacks = JSON.parse(callbackUrls);
-    if (!context || !coordinatorCallbacks[statusType] || !message || !apiKey) {
-      core.info(`Missing or misconfigured parameters in ${name} call. Skipping status call: "${message}".`);
+    if (!STATUS_TYPES.includes(statusType)) {
+      core.error(`Invalid status type "${statusType}" in ${name}.`);
+      delivery.error = 'Invalid status type';
       return;
     }
 
-    const url = coordinatorCallbacks[statusType];
-    const { body, headers } = getStatusCallParameters(
-      JSON.parse(context),
-      apiKey,
+    const maxRetries = getNumberInput('max_retries', DEFAULT_MAX_RETRIES);
+    const finalMaxRetries = getNumberInput('final_max_retries', DEFAULT_FINAL_MAX_RETRIES);
+    const retryOptions = {
+      maxRetries: FINAL_STATUS_TYPES.includes(statusType)
+        ? Math.max(finalMaxRetries, maxRetries)
+        : maxRetries,
+      baseDelay: getNumberInput('retry_base_delay_ms', DEFAULT_RETRY_BASE_DELAY_MS),
+    };
+    const channels = parseChannels(core.getInput('channels'));
+    const channelStatus = {
       statusType,
-      message,
-    );
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body,
-    });
+      agentName: name,
+      message: renderedMessage,
+      progress,
+      context: parseContext(context),
+    };
 
-    if (!response.ok) {
-      core.warning(`Failed to send status: ${response.statusText}`);
-    } else {
-      core.info(`Status ${statusType}:${message} sent successfully in ${name} call.`);
+    let coordinatorCallbacks = {};
+    try {
+      coordinatorCallbacks = callbackUrls ? JSON.parse(callbackUrls) : {};
+    } catch (error) {
+      core.warning(`Invalid callback urls in ${name}: ${error.message}`);
     }
+    url = coordinatorCallbacks[statusType]
+      || (statusType === 'warning' ? coordinatorCallbacks.progress : undefined);
+
+    [delivery, channelDeliveries] = await Promise.all([
+      sendToCoordinator({
+        statusType,
+        context,
+        message,
+        progress,
+        name,
+      }, url, retryOptions),
+      sendToChannels(channels, channelStatus, retryOptions),
+    ]);
   } catch (error) {
     core.warning(`Error: Failed to send status of type ${statusType} in ${name}: ${error.message}`);
+    delivery = {
+      outcome: DELIVERY_OUTCOMES.FAILED,
+      attempts: delivery.attempts,
+      error: error.message,
+    };
   } finally {
-    if (statusType === 'error') {
-      process.exit(1);
+    const entry = appendToJournal(journalPath, {
+      agentName: name,
+      statusType,
+      url,
+      context: parseContext(context),
+      message: renderedMessage,
+      progress,
+      delivery,
+      ...(channelDeliveries.length > 0 && { channels: channelDeliveries }),
+    });
+    if (entry) {
+      core.info(`Status journaled to ${journalPath} (step took ${entry.stepDurationMs} ms).`);
+      core.setOutput('journal_path', journalPath);
+    }
+    setDeliveryOutputs(delivery);
+    core.setOutput('channel_deliveries', JSON.stringify(channelDeliveries));
+    if (progress.summary) {
+      core.setOutput('summary', JSON.stringify(progress.summary));
+    }
+    if (failWorkflow) {
+      // Fail the step, but let the process end by itself so the outputs are flushed.
+      core.setFailed(`${statusType} status in ${name}: ${renderedMessage}`);
     }
   }
 }
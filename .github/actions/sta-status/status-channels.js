@@ -0,0 +1,234 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import { deliverStatus } from './status-delivery.js';
+
+/**
+ * The supported notification channel types.
+ */
+export const CHANNEL_TYPES = Object.freeze({
+  WEBHOOK: 'webhook',
+  SLACK: 'slack',
+  TEAMS: 'teams',
+});
+
+const STATUS_ICONS = Object.freeze({
+  ok: '✅',
+  error: '❌',
+  warning: '⚠️',
+  progress: '⏳',
+});
+
+// The maximum lengths of the Slack texts: of a header block (plain text), of a section
+// block and of the notification text.
+const SLACK_LIMITS = Object.freeze({
+  HEADER: 150,
+  SECTION: 3000,
+  TEXT: 40000,
+});
+
+/**
+ * Render the title of a chat notification.
+ * @param {Object} status
+ * @returns {string} i.e. '✅ upload-import-sp-status: ok (50%)'
+ */
+function getTitle({ statusType, agentName, progress }) {
+  const percent = progress.percent !== undefined ? ` (${progress.percent}%)` : '';
+  return `${STATUS_ICONS[statusType] || ''} ${agentName}: ${statusType}${percent}`.trim();
+}
+
+/**
+ * Format a status as a generic JSON webhook payload.
+ * @param {Object} status
+ * @returns {Object}
+ */
+function formatWebhook({
+  statusType,
+  agentName,
+  message,
+  progress,
+  context,
+}) {
+  return {
+    statusType,
+    agentName,
+    message,
+    progress,
+    context,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Shorten a text to a maximum number of characters, ending it with an ellipsis.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+export function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  // Cut between characters, so an emoji is not cut in half.
+  let truncated = '';
+  for (const character of text) {
+    if (truncated.length + character.length > maxLength - 1) {
+      break;
+    }
+    truncated += character;
+  }
+  return `${truncated}…`;
+}
+
+/**
+ * Format a status as a Slack incoming webhook payload.  Slack rejects blocks with
+ * longer texts than it allows, so long titles and messages (i.e. a run summary) are
+ * truncated.
+ * @param {Object} status
+ * @returns {Object}
+ */
+export function formatSlack(status) {
+  const { message, progress } = status;
+  const title = getTitle(status);
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncateText(title, SLACK_LIMITS.HEADER) },
+    },
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: truncateText(message, SLACK_LIMITS.SECTION) },
+    },
+  ];
+  if (progress.links?.length > 0) {
+    blocks.push({
+      type: 'context',
+      elements: progress.links.map((link) => ({ type: 'mrkdwn', text: `<${link}>` })),
+    });
+  }
+
+  return { text: truncateText(`${title}\n${message}`, SLACK_LIMITS.TEXT), blocks };
+}
+
+/**
+ * Format a status as a Microsoft Teams (Workflows webhook) payload: an adaptive card.
+ * @param {Object} status
+ * @returns {Object}
+ */
+function formatTeams(status) {
+  const { statusType, message, progress } = status;
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        body: [
+          {
+            type: 'TextBlock',
+            text: getTitle(status),
+            weight: 'Bolder',
+            size: 'Medium',
+            color: { ok: 'Good', error: 'Attention', warning: 'Warning' }[statusType] || 'Default',
+          },
+          { type: 'TextBlock', text: message, wrap: true },
+        ],
+        actions: (progress.links || []).map((link) => ({
+          type: 'Action.OpenUrl',
+          title: link,
+          url: link,
+        })),
+      },
+    }],
+  };
+}
+
+const CHANNEL_FORMATTERS = Object.freeze({
+  [CHANNEL_TYPES.WEBHOOK]: formatWebhook,
+  [CHANNEL_TYPES.SLACK]: formatSlack,
+  [CHANNEL_TYPES.TEAMS]: formatTeams,
+});
+
+/**
+ * Parse the channels input: a JSON array of channels, each with its type, its url
+ * (or the name of the environment variable holding it, as webhook urls are secrets)
+ * and optionally the status types it is notified of (all of them by default), i.e.
+ * [{ "type": "slack", "url_env": "SLACK_WEBHOOK_URL", "status_types": ["ok", "error"] }]
+ * Misconfigured channels are skipped with a warning, as they should not prevent
+ * the status from being sent elsewhere.
+ * @param {string} input
+ * @returns {Array<{type: string, name: string, url: string, statusTypes?: string[]}>}
+ */
+export function parseChannels(input) {
+  if (!input.trim()) {
+    return [];
+  }
+
+  let channels;
+  try {
+    channels = JSON.parse(input);
+    if (!Array.isArray(channels)) {
+      throw new Error('expected an array of channels');
+    }
+  } catch (error) {
+    core.warning(`Ignoring invalid channels: ${error.message}`);
+    return [];
+  }
+
+  return channels.map((channel, index) => {
+    const name = channel.name || `${channel.type}-${index}`;
+    const url = channel.url || process.env[channel.url_env];
+    if (!CHANNEL_FORMATTERS[channel.type]) {
+      core.warning(`Ignoring channel ${name}: unsupported type "${channel.type}". Supported types are: ${Object.values(CHANNEL_TYPES).join(', ')}.`);
+      return undefined;
+    }
+    if (!url) {
+      core.warning(`Ignoring channel ${name}: no url (or the ${channel.url_env || 'url_env'} environment variable is not set).`);
+      return undefined;
+    }
+    return {
+      type: channel.type,
+      name,
+      url,
+      statusTypes: channel.status_types,
+    };
+  }).filter((channel) => channel);
+}
+
+/**
+ * Notify the channels configured for the status type of the status.
+ * @param {Array<Object>} channels The channels (see parseChannels).
+ * @param {Object} status The status type, agent name, (rendered) message,
+ *                        progress and context.
+ * @param {{maxRetries: number, baseDelay: number}} retryOptions
+ * @returns {Promise<Array<Object>>} The delivery of each notified channel, by name and type.
+ */
+export async function sendToChannels(channels, status, retryOptions) {
+  const notified = channels.filter((channel) => !channel.statusTypes
+    || channel.statusTypes.includes(status.statusType));
+
+  const deliveries = await Promise.all(notified.map(async (channel) => {
+    const payload = JSON.stringify(CHANNEL_FORMATTERS[channel.type](status));
+    const delivery = await deliverStatus(
+      channel.url,
+      async () => ({ body: payload, headers: new Headers({ 'Content-Type': 'application/json' }) }),
+      { ...retryOptions, name: `${status.agentName} (${channel.name})` },
+    );
+    return { channel: channel.name, type: channel.type, ...delivery };
+  }));
+
+  deliveries.forEach(({ channel, outcome }) => core.info(`Status ${status.statusType} ${outcome} to channel ${channel}.`));
+  return deliveries;
+}
@@ -0,0 +1,54 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { formatSlack, truncateText } from './status-channels.js';
+
+describe('truncateText', () => {
+  it('keeps texts within the limit as they are', () => {
+    assert.equal(truncateText('abc', 3), 'abc');
+  });
+
+  it('ends truncated texts with an ellipsis, within the limit', () => {
+    assert.equal(truncateText('abcdef', 4), 'abc…');
+  });
+
+  it('does not cut an emoji in half', () => {
+    const truncated = truncateText('ab😀cd', 4);
+    assert.equal(truncated, 'ab…');
+    assert.ok(truncated.length <= 4);
+  });
+});
+
+describe('formatSlack', () => {
+  const status = {
+    statusType: 'error',
+    agentName: 'upload-import-sp',
+    message: 'x'.repeat(5000),
+    progress: {},
+  };
+
+  it('truncates the header and section texts to the Slack limits', () => {
+    const [header, section] = formatSlack({ ...status, agentName: 'a'.repeat(200) }).blocks;
+    assert.equal(header.text.text.length, 150);
+    assert.ok(header.text.text.endsWith('…'));
+    assert.equal(section.text.text.length, 3000);
+    assert.ok(section.text.text.endsWith('…'));
+  });
+
+  it('keeps short titles and messages as they are', () => {
+    const [header, section] = formatSlack({ ...status, message: 'Upload failed.' }).blocks;
+    assert.equal(header.text.text, '❌ upload-import-sp: error');
+    assert.equal(section.text.text, 'Upload failed.');
+  });
+});
@@ -0,0 +1,126 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+
+/**
+ * The outcomes of a status delivery.
+ */
+export const DELIVERY_OUTCOMES = Object.freeze({
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped',
+});
+
+// Statuses worth retrying, anything else (i.e. 401 for a bad api key) is final.
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+const MAX_RETRY_DELAY = 60000;
+
+// Sleep function using Promise
+async function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Get the delay the coordinator asked for in its 'Retry-After' header, if any.
+ * @param {Response} response
+ * @returns {number|undefined} The delay in milliseconds.
+ */
+function getRetryAfterDelay(response) {
+  const retryAfter = response.headers.get('retry-after');
+  if (!retryAfter) {
+    return undefined;
+  }
+  // Either a number of seconds or an HTTP date.
+  const delay = /^\d+$/.test(retryAfter.trim())
+    ? parseInt(retryAfter, 10) * 1000
+    : Date.parse(retryAfter) - Date.now();
+  return Number.isNaN(delay) ? undefined : Math.max(delay, 0);
+}
+
+/**
+ * Get the delay before the next attempt: exponential backoff with full jitter.
+ * @param {number} attempt The (0-based) attempt that failed.
+ * @param {number} baseDelay The delay in milliseconds the backoff starts from.
+ * @returns {number} The delay in milliseconds.
+ */
+function getBackoffDelay(attempt, baseDelay) {
+  const delay = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY);
+  return Math.floor(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Post a status to the coordinator, retrying failed attempts with exponential
+ * backoff (or as long as the coordinator asks with 'Retry-After', up to a minute).
+ * Network errors and server side failures are retried, other failures are final.
+ * @param {string} url
+ * @param {function(): Promise<{body: *, headers: Headers}>} createRequest Creates the
+ *        body and headers of an attempt, so each attempt is freshly signed.
+ * @param {Object} options
+ * @param {number} options.maxRetries The number of retries after the first attempt.
+ * @param {number} options.baseDelay The delay in milliseconds the backoff starts from.
+ * @param {string} options.name The name of the status call, for the logs.
+ * @returns {Promise<{outcome: string, attempts: number, status?: number, error?: string}>}
+ */
+export async function deliverStatus(url, createRequest, { maxRetries, baseDelay, name }) {
+  let lastError;
+  let lastStatus;
+  for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+    let delay;
+    try {
+      const { body, headers } = await createRequest();
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+      });
+      lastStatus = response.status;
+      if (response.ok) {
+        return { outcome: DELIVERY_OUTCOMES.SENT, attempts: attempt + 1, status: response.status };
+      }
+
+      lastError = `${response.status} ${response.statusText}`;
+      if (!RETRYABLE_STATUSES.includes(response.status)) {
+        core.warning(`Failed to send status in ${name}: ${lastError}. Not retrying.`);
+        return {
+          outcome: DELIVERY_OUTCOMES.FAILED,
+          attempts: attempt + 1,
+          status: response.status,
+          error: lastError,
+        };
+      }
+      const retryAfter = getRetryAfterDelay(response);
+      if (retryAfter !== undefined) {
+        delay = Math.min(retryAfter, MAX_RETRY_DELAY);
+      }
+    } catch (error) {
+      lastError = error.message;
+      lastStatus = undefined;
+    }
+
+    if (attempt < maxRetries) {
+      delay ??= getBackoffDelay(attempt, baseDelay);
+      core.warning(`Attempt ${attempt + 1} of ${maxRetries + 1} to send status in ${name} failed: ${lastError}. Retrying in ${delay} ms.`);
+      await sleep(delay);
+    }
+  }
+
+  core.warning(`Failed to send status in ${name} after ${maxRetries + 1} attempts: ${lastError}`);
+  return {
+    outcome: DELIVERY_OUTCOMES.FAILED,
+    attempts: maxRetries + 1,
+    ...(lastStatus && { status: lastStatus }),
+    error: lastError,
+  };
+}
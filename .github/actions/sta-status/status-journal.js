@@ -0,0 +1,112 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const JOURNAL_NAME = 'sta-status-journal.jsonl';
+
+/**
+ * Get the path of the run journal: the given one, or one in the runner's temp
+ * directory, which is shared by all steps of the job (and cleaned up after it).
+ * @param {string} [journalPath]
+ * @returns {string}
+ */
+export function getJournalPath(journalPath) {
+  return journalPath || path.join(process.env.RUNNER_TEMP || os.tmpdir(), JOURNAL_NAME);
+}
+
+/**
+ * Read the last entry of the journal, if there is one.
+ * @param {string} journalPath
+ * @returns {Object|undefined}
+ */
+function readLastEntry(journalPath) {
+  if (!fs.existsSync(journalPath)) {
+    return undefined;
+  }
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter((line) => line.trim());
+  try {
+    return lines.length > 0 ? JSON.parse(lines[lines.length - 1]) : undefined;
+  } catch (error) {
+    core.warning(`Ignoring the unreadable last entry of the status journal: ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Summarize the partial failures (warnings) and errors reported so far in the run.
+ * @param {string} journalPath
+ * @returns {{warningCount: number, errorCount: number, warnings: string[], errors: string[]}}
+ */
+export function summarizeJournal(journalPath) {
+  const summary = {
+    warningCount: 0,
+    errorCount: 0,
+    warnings: [],
+    errors: [],
+  };
+  if (!fs.existsSync(journalPath)) {
+    return summary;
+  }
+
+  fs.readFileSync(journalPath, 'utf8').split('\n').filter((line) => line.trim()).forEach((line) => {
+    try {
+      const { statusType, message } = JSON.parse(line);
+      if (statusType === 'warning') {
+        summary.warningCount += 1;
+        summary.warnings.push(message);
+      } else if (statusType === 'error') {
+        summary.errorCount += 1;
+        summary.errors.push(message);
+      }
+    } catch (error) {
+      core.debug(`Skipping unreadable status journal entry: ${error.message}`);
+    }
+  });
+  return summary;
+}
+
+/**
+ * Append a status to the JSON-lines run journal, with enough to replay it against a
+ * coordinator (the context, callback url, status type, message and progress, but no
+ * secrets) and how it was delivered.  Each entry records when it was written, how long
+ * the step since the previous status took and how long the run has taken so far.
+ * The journal is for debugging, so failing to write it does not fail the status.
+ * @param {string} journalPath
+ * @param {Object} status The status and its delivery.
+ * @returns {Object|undefined} The journal entry, if it was written.
+ */
+export function appendToJournal(journalPath, status) {
+  try {
+    const now = new Date();
+    const lastEntry = readLastEntry(journalPath);
+    const startedAt = lastEntry?.startedAt || now.toISOString();
+    const entry = {
+      timestamp: now.toISOString(),
+      startedAt,
+      sequence: (lastEntry?.sequence || 0) + 1,
+      stepDurationMs: lastEntry ? now.getTime() - Date.parse(lastEntry.timestamp) : 0,
+      elapsedMs: now.getTime() - Date.parse(startedAt),
+      ...status,
+    };
+
+    fs.mkdirSync(path.dirname(journalPath), { recursive: true });
+    fs.appendFileSync(journalPath, `${JSON.stringify(entry)}\n`);
+    return entry;
+  } catch (error) {
+    core.warning(`Failed to write the status journal ${journalPath}: ${error.message}`);
+    return undefined;
+  }
+}
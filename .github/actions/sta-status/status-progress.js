@@ -0,0 +1,120 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+
+/**
+ * The structured progress inputs, by the progress field they populate.
+ */
+const PROGRESS_INPUTS = Object.freeze({
+  step: 'step',
+  totalSteps: 'total_steps',
+  percent: 'percent',
+  successCount: 'success_count',
+  failureCount: 'failure_count',
+});
+
+/**
+ * Parse an optional, non-negative integer input.  An invalid value is ignored
+ * (with a warning), as it should not prevent the status from being sent.
+ * @param {string} name The input name.
+ * @returns {number|undefined}
+ */
+function getOptionalNumberInput(name) {
+  const input = core.getInput(name).trim();
+  if (!input) {
+    return undefined;
+  }
+  const value = Number(input);
+  if (!Number.isInteger(value) || value < 0) {
+    core.warning(`Ignoring invalid ${name} "${input}": expected a non-negative integer.`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Parse the links input: a JSON array of urls, or urls separated by commas or whitespace.
+ * @returns {string[]}
+ */
+function getLinks() {
+  const input = core.getInput('links').trim();
+  if (input.startsWith('[')) {
+    try {
+      return JSON.parse(input).filter((link) => typeof link === 'string' && link);
+    } catch (error) {
+      core.warning(`Ignoring invalid links: ${error.message}`);
+      return [];
+    }
+  }
+  return input.split(/[\s,]+/).filter((link) => link.length > 0);
+}
+
+/**
+ * Get the structured progress of the status from the action inputs.  The percent
+ * is derived from the step and total steps, unless it is given.
+ * @returns {Object} The progress fields that were provided, i.e.
+ *          { step: 3, totalSteps: 6, percent: 50, links: [] }, or an empty object.
+ */
+export function getProgressFields() {
+  const progress = {};
+  Object.entries(PROGRESS_INPUTS).forEach(([field, input]) => {
+    const value = getOptionalNumberInput(input);
+    if (value !== undefined) {
+      progress[field] = value;
+    }
+  });
+
+  if (progress.step !== undefined && progress.totalSteps && progress.step > progress.totalSteps) {
+    core.warning(`Step ${progress.step} is beyond the ${progress.totalSteps} total steps.`);
+  }
+  if (progress.percent === undefined && progress.step !== undefined && progress.totalSteps) {
+    progress.percent = Math.min(Math.round((progress.step / progress.totalSteps) * 100), 100);
+  } else if (progress.percent > 100) {
+    core.warning(`Capping percent ${progress.percent} to 100.`);
+    progress.percent = 100;
+  }
+
+  const links = getLinks();
+  if (links.length > 0) {
+    progress.links = links;
+  }
+
+  return progress;
+}
+
+/**
+ * Render the message with its progress, for consumers that only show text.
+ * @param {string} message
+ * @param {Object} progress The progress fields (see getProgressFields).
+ * @returns {string} i.e. 'Step 3 of 6: Uploading...' followed by the counts and the
+ *          run summary, if any.
+ */
+export function renderMessage(message, progress) {
+  let rendered = message;
+  if (progress.step !== undefined && progress.totalSteps) {
+    rendered = `Step ${progress.step} of ${progress.totalSteps}: ${rendered}`;
+  }
+  if (progress.successCount !== undefined) {
+    rendered += `\n✅ Success count: ${progress.successCount}`;
+  }
+  if (progress.failureCount !== undefined) {
+    rendered += `\n❌ Failed count: ${progress.failureCount}`;
+  }
+  if (progress.summary?.warningCount > 0) {
+    rendered += `\n⚠️ ${progress.summary.warningCount} warning(s) during the run:\n- ${progress.summary.warnings.join('\n- ')}`;
+  }
+  if (progress.summary?.errorCount > 0) {
+    rendered += `\n❌ ${progress.summary.errorCount} error(s) during the run:\n- ${progress.summary.errors.join('\n- ')}`;
+  }
+  return rendered;
+}
@@ -0,0 +1,380 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import fs from 'fs';
+// eslint-disable-next-line import/no-unresolved
+import mime from 'mime-types';
+import path from 'path';
+
+const DRIVE_API = 'https://www.googleapis.com/drive/v3';
+const DRIVE_UPLOAD_API = 'https://www.googleapis.com/upload/drive/v3';
+// Work with folders in shared drives as well as in 'My Drive'.
+const ALL_DRIVES = 'supportsAllDrives=true';
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const GOOGLE_DOC_MIME_TYPE = 'application/vnd.google-apps.document';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Upload report for this invocation.  Global to simplify recursion.
+const uploadReport = {
+  uploads: 0,
+  uploadList: [],
+  failures: 0,
+  failedList: [],
+  failedFolderCreations: 0,
+  conversions: 0,
+};
+
+// Source structure for this invocation.  Global to simplify recursion.
+const sourceStructure = {
+  folders: [],
+  files: [],
+};
+
+// Sleep function using Promise
+async function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+async function driveFetch(token, url, initOptions = {}) {
+  core.debug(`Accessing Drive API endpoint: ${url}`);
+  const res = await fetch(url, {
+    ...initOptions,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      Accept: 'application/json',
+      ...initOptions.headers,
+    },
+  });
+
+  if (!res.ok) {
+    const errorText = await res.text();
+    throw new Error(`Drive API error ${res.status}: ${errorText}`);
+  }
+
+  return res;
+}
+
+/**
+ * Escape a value for a Drive API search query.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeQueryValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
+
+/**
+ * Find the (non-trashed) items with a name and mime type in a folder.
+ * @param {string} accessToken
+ * @param {string} parentId
+ * @param {string} name
+ * @param {string} [mimeType]
+ * @returns {Promise<Array<{id: string, name: string, mimeType: string}>>}
+ */
+async function findChildren(accessToken, parentId, name, mimeType) {
+  const query = [
+    `'${escapeQueryValue(parentId)}' in parents`,
+    `name = '${escapeQueryValue(name)}'`,
+    'trashed = false',
+    ...(mimeType ? [`mimeType = '${mimeType}'`] : []),
+  ].join(' and ');
+  const params = new URLSearchParams({
+    q: query,
+    fields: 'files(id,name,mimeType)',
+    includeItemsFromAllDrives: 'true',
+  });
+  const res = await driveFetch(accessToken, `${DRIVE_API}/files?${params}&${ALL_DRIVES}`);
+  const { files } = await res.json();
+  return files || [];
+}
+
+/**
+ * Get the name and mime type a file is stored with in Google Drive: docx documents
+ * are converted to Google Docs (named without their extension), if requested.
+ * @param {Object} file The file name and full local path.
+ * @param {boolean} convertDocx
+ * @returns {{name: string, sourceMimeType: string, targetMimeType?: string}}
+ */
+function getTarget(file, convertDocx) {
+  const sourceMimeType = mime.lookup(file.path) || 'application/octet-stream';
+  if (convertDocx && sourceMimeType === DOCX_MIME_TYPE) {
+    return {
+      name: path.basename(file.name, path.extname(file.name)),
+      sourceMimeType,
+      targetMimeType: GOOGLE_DOC_MIME_TYPE,
+    };
+  }
+  return { name: file.name, sourceMimeType };
+}
+
+/**
+ * Upload 1 file to Google Drive with a resumable upload (in a single request), replacing
+ * the contents of the file with the same name in the folder, if there is one.
+ * @param {string} accessToken Google Drive access token
+ * @param {string} parentId Destination folder id
+ * @param {Object.<string, string, string>} file The file name, full local and relative
+ *                                               target path of the file to be uploaded.
+ * @param {boolean} convertDocx If true, docx documents are converted to Google Docs.
+ * @returns {Promise<boolean>} The result of the upload operation.
+ */
+async function uploadFile(accessToken, parentId, file, convertDocx) {
+  const { name, sourceMimeType, targetMimeType } = getTarget(file, convertDocx);
+  core.debug(`Uploading ${file.path} with mime type ${sourceMimeType} as ${name}${targetMimeType ? ` (${targetMimeType})` : ''}`);
+
+  try {
+    const [existing] = await findChildren(accessToken, parentId, name, targetMimeType);
+    const metadata = existing
+      ? {}
+      : { name, parents: [parentId], ...(targetMimeType && { mimeType: targetMimeType }) };
+    const session = await driveFetch(
+      accessToken,
+      existing
+        ? `${DRIVE_UPLOAD_API}/files/${existing.id}?uploadType=resumable&${ALL_DRIVES}`
+        : `${DRIVE_UPLOAD_API}/files?uploadType=resumable&${ALL_DRIVES}`,
+      {
+        method: existing ? 'PATCH' : 'POST',
+        body: JSON.stringify(metadata),
+        headers: {
+          'Content-Type': 'application/json; charset=UTF-8',
+          'X-Upload-Content-Type': sourceMimeType,
+        },
+      },
+    );
+
+    await driveFetch(accessToken, session.headers.get('location'), {
+      method: 'PUT',
+      body: fs.createReadStream(file.path),
+      headers: {
+        'Content-Type': sourceMimeType,
+        'Content-Length': String(fs.statSync(file.path).size),
+      },
+      duplex: 'half', // Required for streaming requests
+    });
+
+    if (targetMimeType) {
+      uploadReport.conversions += 1;
+    }
+    core.debug(`File ${file.path} ${existing ? 'replaced' : 'uploaded'} successfully.`);
+    return true;
+  } catch (error) {
+    core.warning(`Failed to upload file ${file.path}: ${error.message}`);
+  }
+
+  return false;
+}
+
+/**
+ * Create the folders in Google Drive if they don't exist.
+ * @param {string} accessToken
+ * @param {string} folderId The id of the mountpoint folder.
+ * @param {Object.<string, string>} sourceFolders The folders to create (name and
+ *                                                relative path to the mountpoint)
+ * @param {number} delay The delay, in milliseconds between folder creations
+ * @returns {Promise<Map<string, string>>} The folder ids by relative path ('' for the
+ *          mountpoint folder).
+ */
+async function createFoldersIfNecessary(accessToken, folderId, sourceFolders, delay) {
+  const folderMap = new Map();
+  folderMap.set('', folderId);
+
+  for (const folder of sourceFolders) {
+    const segments = folder.path.split('/').filter((segment) => segment.length > 0);
+    // Current path is the path as we increment through the segments.
+    let currentPath;
+    // The parent id is the id of the folder we are creating the next segment in.
+    let parentId = folderId;
+
+    for (const segment of segments) {
+      currentPath = currentPath ? `${currentPath}/${segment}` : segment;
+
+      if (folderMap.has(currentPath)) {
+        parentId = folderMap.get(currentPath);
+      } else {
+        // Drive allows several items with the same name, so check before creating.
+        const existing = await findChildren(accessToken, parentId, segment, FOLDER_MIME_TYPE);
+        if (existing.length > 1) {
+          core.warning(`Found multiple existing folders for ${currentPath}.`);
+          throw new Error(`Found multiple existing folders for ${currentPath}. Upload is aborted.`);
+        }
+
+        if (existing.length === 1) {
+          parentId = existing[0].id;
+        } else {
+          try {
+            const res = await driveFetch(accessToken, `${DRIVE_API}/files?fields=id&${ALL_DRIVES}`, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json',
+              },
+              body: JSON.stringify({
+                name: segment,
+                mimeType: FOLDER_MIME_TYPE,
+                parents: [parentId],
+              }),
+            });
+            parentId = (await res.json()).id;
+          } catch (error) {
+            core.warning(`Failed to create folder ${currentPath}: ${error.message}`);
+            uploadReport.failedFolderCreations += 1;
+            throw new Error(`Failed to create folder ${currentPath}. Upload is aborted.`);
+          }
+        }
+        folderMap.set(currentPath, parentId);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return folderMap;
+}
+
+/**
+ * Recursively get the structure of the source (zip) folder.  This is used
+ * to determine the folder structure to create in Google Drive and simplify
+ * the upload of files, knowing the destination folders already exist.
+ * @param {string} srcFolder
+ * @param {boolean} isTopLevel If true, this is the top-level folder, and we
+ *                           expect at least one item to be present.
+ * @returns {Promise<*>}
+ */
+async function populateSourceStructure(srcFolder, isTopLevel = false) {
+  const entries = fs.readdirSync(srcFolder, { withFileTypes: true });
+  core.debug(`Reading source items from ${srcFolder}`);
+
+  if (isTopLevel && entries.length === 0) {
+    throw new Error(`No upload items found in ${srcFolder}. Ensure the zip file contains valid content.`);
+  }
+
+  for (const entry of entries) {
+    const fullPath = path.join(srcFolder, entry.name);
+
+    if (entry.isDirectory()) {
+      core.debug(`> Recording directory and recursing it: ${fullPath}`);
+      sourceStructure.folders.push({
+        name: entry.name,
+        path: fullPath,
+      });
+      await populateSourceStructure(fullPath);
+    } else if (entry.isFile()) {
+      core.debug(`> Adding file: ${fullPath}`);
+      sourceStructure.files.push({
+        name: entry.name,
+        path: fullPath,
+      });
+    } else {
+      core.debug(`> Skipping non-file/non-directory item: ${fullPath}`);
+    }
+  }
+
+  core.debug(`Done with ${srcFolder}`);
+}
+
+/**
+ * Upload all the files from a source folder to Google Drive, into the folders
+ * that were created for them.
+ * @param {string} accessToken Google Drive access token
+ * @param {Map<string, string>} folderMap The folder ids by relative path.
+ * @param {Object.<string, string, string>} sourceFiles The file name, full local and
+ *                                                      relative target path to each
+ *                                                      file to be uploaded.
+ * @param {boolean} convertDocx If true, docx documents are converted to Google Docs.
+ * @param {number} delay The delay, in milliseconds
+ * @returns {Promise<void>}
+ */
+async function uploadFiles(accessToken, folderMap, sourceFiles, convertDocx, delay) {
+  for (const item of sourceFiles) {
+    const parentPath = path.dirname(item.relative).replace(/^\/+/, '');
+    const parentId = folderMap.get(parentPath === '.' ? '' : parentPath);
+    const success = await uploadFile(accessToken, parentId, item, convertDocx);
+    if (success) {
+      uploadReport.uploads += 1;
+      uploadReport.uploadList.push(item.relative);
+    } else {
+      uploadReport.failures += 1;
+      uploadReport.failedList.push(item.path);
+    }
+
+    await sleep(delay);
+  }
+}
+
+/**
+ * Upload the docx folder of the import zip contents to the Google Drive folder
+ * of the mountpoint.
+ * @returns {Promise<void>}
+ */
+export async function run() {
+  const accessToken = core.getInput('access_token');
+  const folderId = core.getInput('folder_id');
+  const zipContentsPath = core.getInput('zip_contents_path');
+  const convertDocx = core.getInput('convert_docx') !== 'false';
+  const delayInput = core.getInput('delay');
+  const delay = parseInt(delayInput, 10);
+  const docsDir = `${zipContentsPath}/docx`;
+
+  core.info(`Upload files from ${docsDir} with a delay of ${delay} milliseconds between uploads${convertDocx ? ', converting docx documents to Google Docs' : ''}.`);
+
+  try {
+    if (!fs.existsSync(docsDir)) {
+      throw new Error(`Directory ${docsDir} was not found and no files were uploaded. Check zip contents and ensure it contains valid content.`);
+    }
+
+    // Get the source structure (folders, files, etc.).
+    await populateSourceStructure(docsDir, true);
+
+    // Now create the folder structure in Google Drive, if necessary.
+    core.info(`Creating ${JSON.stringify(sourceStructure.folders.length)} folders, if necessary.`);
+    const folderMap = await createFoldersIfNecessary(
+      accessToken,
+      folderId,
+      sourceStructure.folders.map((folder) => ({
+        name: folder.name,
+        path: folder.path.replace(docsDir, ''),
+      })),
+      delay,
+    );
+
+    // Now upload each file, knowing the destination folders already exist.
+    core.info(`Uploading ${sourceStructure.files.length} files.`);
+    await uploadFiles(
+      accessToken,
+      folderMap,
+      sourceStructure.files.map((nextFile) => ({
+        name: nextFile.name,
+        path: nextFile.path,
+        relative: nextFile.path.replace(docsDir, ''),
+      })),
+      convertDocx,
+      delay,
+    );
+
+    if (uploadReport.failures > 0 || uploadReport.failedList.length > 0) {
+      core.setOutput('error_message', '❌ Upload Error: Some uploads failed. Check the workflow for more details.');
+    }
+  } catch (error) {
+    core.warning(`Failed to upload the files: ${error.message}`);
+    core.setOutput('error_message', `❌ Upload Error: ${error.message}`);
+  } finally {
+    core.info(`Upload report: ${JSON.stringify(uploadReport)}`);
+    core.setOutput('upload_successes', String(uploadReport.uploads));
+    core.setOutput('upload_list', String(uploadReport.uploadList.join(', ')));
+    core.setOutput('upload_failures', String(uploadReport.failures));
+    core.setOutput('upload_failed_list', uploadReport.failedList.join(', '));
+    core.setOutput('upload_conversions', String(uploadReport.conversions));
+  }
+}
+
+await run();
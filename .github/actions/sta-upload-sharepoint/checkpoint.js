@@ -0,0 +1,129 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import fs from 'fs';
+import path from 'path';
+
+// Save the checkpoint at most this often while uploading, rather than after every file.
+const SAVE_INTERVAL = 5000;
+
+/**
+ * Read the state of a checkpoint.  The checkpoint only saves work, so an unreadable
+ * checkpoint, or one of another destination folder, is ignored.
+ * @param {string} checkpointPath
+ * @param {string} driveId
+ * @param {string} folderId
+ * @returns {{folders: Object, files: Object}} The folder ids and the completed files, by
+ *          path relative to the destination folder.
+ */
+function readState(checkpointPath, driveId, folderId) {
+  const empty = { folders: {}, files: {} };
+  if (!fs.existsSync(checkpointPath)) {
+    return empty;
+  }
+  try {
+    const state = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    if (state.driveId !== driveId || state.folderId !== folderId) {
+      core.info(`Ignoring the checkpoint ${checkpointPath}: it is for another folder.`);
+      return empty;
+    }
+    return { folders: state.folders || {}, files: state.files || {} };
+  } catch (error) {
+    core.warning(`Ignoring the unreadable checkpoint ${checkpointPath}: ${error.message}`);
+    return empty;
+  }
+}
+
+/**
+ * Create the checkpoint of an upload: the folders that were created and the files that
+ * were uploaded (or skipped), so an upload that is run again only uploads what is
+ * missing.  Without a path, nothing is read or saved.
+ * @param {string} [checkpointPath]
+ * @param {string} driveId Destination root drive id
+ * @param {string} folderId Destination folder id within the drive id root
+ * @returns {Object}
+ */
+export function createCheckpoint(checkpointPath, driveId, folderId) {
+  const state = checkpointPath
+    ? readState(checkpointPath, driveId, folderId)
+    : { folders: {}, files: {} };
+  let savedAt = 0;
+
+  const checkpoint = {
+    folders: new Map(Object.entries(state.folders)),
+    files: new Map(Object.entries(state.files)),
+
+    /**
+     * @param {{path: string, relative: string}} file
+     * @returns {{outcome: string, relative: string}|undefined} The outcome of the file (see
+     *          UPLOAD_OUTCOMES) and its relative path in SharePoint, if it was completed
+     *          and has not changed size since.
+     */
+    getCompleted(file) {
+      const completed = checkpoint.files.get(file.relative);
+      if (completed?.size !== fs.statSync(file.path).size) {
+        return undefined;
+      }
+      // Checkpoints of earlier versions only have the uploaded files, by their own path.
+      return {
+        outcome: completed.outcome || 'uploaded',
+        relative: completed.renamed || file.relative,
+      };
+    },
+
+    /**
+     * @param {Map<string, string>} folderMap The folder ids, by relative path.
+     */
+    recordFolders(folderMap) {
+      folderMap.forEach((id, folderPath) => checkpoint.folders.set(folderPath, id));
+      checkpoint.save(true);
+    },
+
+    /**
+     * @param {{path: string, relative: string}} file
+     * @param {{outcome: string, relative: string}} result How the file was completed (see
+     *        UPLOAD_OUTCOMES) and its relative path in SharePoint, if it was renamed.
+     */
+    recordFile(file, { outcome, relative }) {
+      checkpoint.files.set(file.relative, {
+        size: fs.statSync(file.path).size,
+        outcome,
+        ...(relative !== file.relative && { renamed: relative }),
+      });
+      checkpoint.save();
+    },
+
+    /**
+     * @param {boolean} [force] Save, even if it was saved less than 5 seconds ago.
+     */
+    save(force = false) {
+      if (!checkpointPath || (!force && Date.now() - savedAt < SAVE_INTERVAL)) {
+        return;
+      }
+      try {
+        fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+        fs.writeFileSync(checkpointPath, JSON.stringify({
+          driveId,
+          folderId,
+          updatedAt: new Date().toISOString(),
+          folders: Object.fromEntries(checkpoint.folders),
+          files: Object.fromEntries(checkpoint.files),
+        }));
+        savedAt = Date.now();
+      } catch (error) {
+        core.warning(`Failed to save the checkpoint ${checkpointPath}: ${error.message}`);
+      }
+    },
+  };
+  return checkpoint;
+}
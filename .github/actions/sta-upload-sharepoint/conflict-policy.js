@@ -0,0 +1,74 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import fs from 'fs';
+import { quickXorHash } from './quick-xor-hash.js';
+
+/**
+ * What to do when a file already exists in SharePoint.
+ */
+export const CONFLICT_BEHAVIORS = Object.freeze({
+  // Overwrite it (a new version).
+  REPLACE: 'replace',
+  // Keep it, and do not upload the file.
+  SKIP_EXISTING: 'skip-existing',
+  // Keep it if it has the same size and QuickXorHash as the file.
+  SKIP_UNCHANGED: 'skip-unchanged',
+  // Upload the file next to it, with a new name (i.e. 'index 1.docx').
+  RENAME: 'rename',
+});
+
+/**
+ * Validate the conflict behavior input.
+ * @param {string} input
+ * @returns {string} One of CONFLICT_BEHAVIORS, replace by default.
+ */
+export function getConflictBehavior(input) {
+  const behavior = input.trim() || CONFLICT_BEHAVIORS.REPLACE;
+  if (!Object.values(CONFLICT_BEHAVIORS).includes(behavior)) {
+    throw new Error(`Invalid conflict behavior "${behavior}". Supported behaviors are: ${Object.values(CONFLICT_BEHAVIORS).join(', ')}.`);
+  }
+  return behavior;
+}
+
+/**
+ * Read the inventory of the mountpoint folder (see the sta-sp-drive inventory), so the
+ * existing files do not need to be looked up one by one.
+ * @param {string} inventoryPath
+ * @returns {Map<string, Object>} The inventoried files by path, relative to the folder.
+ */
+export function readInventory(inventoryPath) {
+  const { items } = JSON.parse(fs.readFileSync(inventoryPath, 'utf8'));
+  return new Map(items
+    .filter((item) => item.type === 'file')
+    .map((item) => [item.path, item]));
+}
+
+/**
+ * Whether a file has the same content as the existing item in SharePoint: the same
+ * size and, if SharePoint reports one, the same QuickXorHash.
+ * @param {string} filePath
+ * @param {number} size The size of the file.
+ * @param {{size: number, quickXorHash?: string}} existing
+ * @returns {Promise<boolean>}
+ */
+export async function isUnchanged(filePath, size, existing) {
+  if (existing.size !== size) {
+    return false;
+  }
+  if (!existing.quickXorHash) {
+    core.debug(`No hash to compare ${filePath} with, so it is considered changed.`);
+    return false;
+  }
+  return (await quickXorHash(filePath)) === existing.quickXorHash;
+}
@@ -0,0 +1,215 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+import { getRetryAfterMs, THROTTLED_STATUSES } from './upload-pool.js';
+
+const GRAPH_API = 'https://graph.microsoft.com/v1.0';
+const MAX_ATTEMPTS = 5;
+
+async function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Call the Graph API, retrying when throttled.
+ * @param {string} token
+ * @param {string} endpoint The endpoint, relative to the Graph API, or a nextLink.
+ * @param {Object} [options] The method and JSON body, if not a GET.
+ * @returns {Promise<Object|undefined>} The response, if it has a body.
+ */
+async function graphFetch(token, endpoint, { method = 'GET', body } = {}) {
+  const url = endpoint.startsWith('https://') ? endpoint : `${GRAPH_API}${endpoint}`;
+  for (let attempt = 1; ; attempt += 1) {
+    core.debug(`${method} ${url}`);
+    const res = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (res.ok) {
+      return res.status === 204 ? undefined : res.json();
+    }
+    if (!THROTTLED_STATUSES.includes(res.status) || attempt >= MAX_ATTEMPTS) {
+      const error = new Error(`${res.status} ${res.statusText}: ${await res.text()}`);
+      error.status = res.status;
+      throw error;
+    }
+    await sleep(getRetryAfterMs(res.headers.get('retry-after'), attempt));
+  }
+}
+
+/**
+ * Normalize a path to compare it with the SharePoint paths, which are case-insensitive.
+ * @param {string} itemPath
+ * @returns {string}
+ */
+function toComparablePath(itemPath) {
+  return itemPath.normalize('NFC').toLowerCase();
+}
+
+/**
+ * Normalize the archive folder path to the form of the listed paths (i.e. '/_archive').
+ * @param {string} archivePath
+ * @returns {string}
+ */
+function toFolderPath(archivePath) {
+  return `/${archivePath.replace(/^\/+|\/+$/g, '')}`;
+}
+
+/**
+ * List all the files under the destination folder, breadth-first, leaving out the
+ * archive folder.
+ * @param {string} accessToken SharePoint access token
+ * @param {string} driveId Destination root drive id
+ * @param {string} folderId Destination folder id within the drive id root
+ * @param {string} [archivePath] The archive folder, relative to the destination folder.
+ * @returns {Promise<Array<{id: string, name: string, path: string, parentPath: string}>>}
+ *          The files, with their paths relative to the destination folder.
+ */
+export async function listDestinationFiles(accessToken, driveId, folderId, archivePath) {
+  const excluded = archivePath ? toComparablePath(toFolderPath(archivePath)) : undefined;
+  const files = [];
+  const queue = [{ id: folderId, path: '' }];
+
+  while (queue.length > 0) {
+    const folder = queue.shift();
+    let next = `/drives/${driveId}/items/${folder.id}/children?$select=id,name,file,folder&$top=200`;
+    while (next) {
+      const page = await graphFetch(accessToken, next);
+      for (const item of page.value || []) {
+        const itemPath = `${folder.path}/${item.name}`;
+        if (item.folder && toComparablePath(itemPath) !== excluded) {
+          queue.push({ id: item.id, path: itemPath });
+        } else if (item.file) {
+          files.push({
+            id: item.id,
+            name: item.name,
+            path: itemPath,
+            parentPath: folder.path,
+          });
+        }
+      }
+      next = page['@odata.nextLink'];
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Find the destination files that are not part of the import.
+ * @param {Array<Object>} destinationFiles See listDestinationFiles.
+ * @param {Array<string>} importPaths The paths of the imported files, relative to the
+ *                                    docx folder (i.e. '/a/b.docx').
+ * @returns {Array<Object>} The orphaned destination files.
+ */
+export function findOrphans(destinationFiles, importPaths) {
+  const imported = new Set(importPaths.map(toComparablePath));
+  return destinationFiles.filter((file) => !imported.has(toComparablePath(file.path)));
+}
+
+/**
+ * Get the id of a folder under a parent folder, creating it if it does not exist.
+ * @param {string} accessToken
+ * @param {string} driveId
+ * @param {string} parentId
+ * @param {string} name
+ * @returns {Promise<string>}
+ */
+async function getOrCreateFolder(accessToken, driveId, parentId, name) {
+  try {
+    const existing = await graphFetch(
+      accessToken,
+      `/drives/${driveId}/items/${parentId}:/${encodeURIComponent(name)}?$select=id`,
+    );
+    return existing.id;
+  } catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+  const created = await graphFetch(accessToken, `/drives/${driveId}/items/${parentId}/children`, {
+    method: 'POST',
+    body: { name, folder: {}, '@microsoft.graph.conflictBehavior': 'fail' },
+  });
+  return created.id;
+}
+
+/**
+ * Delete the orphaned files (to the site's recycle bin) or move them to the archive
+ * folder, where they keep their path relative to the destination folder.  Archived
+ * files that clash with earlier ones are renamed.
+ * @param {string} accessToken SharePoint access token
+ * @param {string} driveId Destination root drive id
+ * @param {string} folderId Destination folder id within the drive id root
+ * @param {Array<Object>} orphans See findOrphans.
+ * @param {{archivePath?: string, dryRun: boolean}} options
+ * @returns {Promise<{removed: number, failedList: Array<string>}>}
+ */
+export async function removeOrphans(accessToken, driveId, folderId, orphans, options) {
+  const { archivePath, dryRun } = options;
+  const action = archivePath ? `archive to ${archivePath}` : 'delete';
+  const result = { removed: 0, failedList: [] };
+
+  if (dryRun) {
+    orphans.forEach((orphan) => core.info(`[Dry run] Would ${action}: ${orphan.path}`));
+    return result;
+  }
+
+  // The ids of the archive folders, by path relative to the destination folder.
+  const archiveFolders = new Map();
+  const getArchiveFolderId = async (parentPath) => {
+    const folderPath = `${toFolderPath(archivePath)}${parentPath}`;
+    let parentId = folderId;
+    let currentPath = '';
+    for (const segment of folderPath.split('/').filter(Boolean)) {
+      currentPath = `${currentPath}/${segment}`;
+      if (!archiveFolders.has(currentPath)) {
+        archiveFolders.set(
+          currentPath,
+          await getOrCreateFolder(accessToken, driveId, parentId, segment),
+        );
+      }
+      parentId = archiveFolders.get(currentPath);
+    }
+    return parentId;
+  };
+
+  for (const orphan of orphans) {
+    try {
+      if (archivePath) {
+        const parentId = await getArchiveFolderId(orphan.parentPath);
+        await graphFetch(
+          accessToken,
+          `/drives/${driveId}/items/${orphan.id}?@microsoft.graph.conflictBehavior=rename`,
+          { method: 'PATCH', body: { parentReference: { id: parentId } } },
+        );
+      } else {
+        await graphFetch(accessToken, `/drives/${driveId}/items/${orphan.id}`, { method: 'DELETE' });
+      }
+      result.removed += 1;
+      core.info(`Orphaned file ${orphan.path}: ${archivePath ? 'archived' : 'deleted'}.`);
+    } catch (error) {
+      core.warning(`Failed to ${action} the orphaned file ${orphan.path}: ${error.message}`);
+      result.failedList.push(orphan.path);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,53 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* eslint-disable no-bitwise */
+
+import fs from 'fs';
+
+// The hash is 160 bits wide, and each byte is shifted 11 bits further than the previous one.
+const WIDTH_IN_BYTES = 20;
+const WIDTH_IN_BITS = WIDTH_IN_BYTES * 8;
+const SHIFT = 11;
+
+/**
+ * Compute the QuickXorHash of a file, as SharePoint and OneDrive report it for their
+ * files (file.hashes.quickXorHash).  Each byte is XORed into a circular 160-bit
+ * register, 11 bits further than the previous byte, and the length of the content is
+ * XORed into the last 64 bits.
+ * @param {string} filePath
+ * @returns {Promise<string>} The base64-encoded hash.
+ */
+export async function quickXorHash(filePath) {
+  const hash = new Uint8Array(WIDTH_IN_BYTES);
+  let length = 0;
+
+  for await (const chunk of fs.createReadStream(filePath)) {
+    let bitOffset = (length * SHIFT) % WIDTH_IN_BITS;
+    for (let i = 0; i < chunk.length; i += 1) {
+      const byteIndex = bitOffset >> 3;
+      const shifted = chunk[i] << (bitOffset & 7);
+      hash[byteIndex] ^= shifted & 0xff;
+      hash[(byteIndex + 1) % WIDTH_IN_BYTES] ^= shifted >> 8;
+      bitOffset = (bitOffset + SHIFT) % WIDTH_IN_BITS;
+    }
+    length += chunk.length;
+  }
+
+  const lengthBytes = Buffer.alloc(8);
+  lengthBytes.writeUInt32LE(length % 0x100000000, 0);
+  lengthBytes.writeUInt32LE(Math.floor(length / 0x100000000), 4);
+  for (let i = 0; i < 8; i += 1) {
+    hash[WIDTH_IN_BYTES - 8 + i] ^= lengthBytes[i];
+  }
+  return Buffer.from(hash).toString('base64');
+}
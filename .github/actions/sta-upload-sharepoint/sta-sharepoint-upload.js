@@ -15,8 +15,37 @@ import fs from 'fs';
 // eslint-disable-next-line import/no-unresolved
 import mime from 'mime-types';
 import path from 'path';
+import { createCheckpoint } from './checkpoint.js';
+import {
+  CONFLICT_BEHAVIORS,
+  getConflictBehavior,
+  isUnchanged,
+  readInventory,
+} from './conflict-policy.js';
+import { findOrphans, listDestinationFiles, removeOrphans } from './mirror.js';
+import {
+  createThrottle,
+  getRetryAfterMs,
+  runPool,
+  THROTTLED_STATUSES,
+} from './upload-pool.js';
 
 const GRAPH_API = 'https://graph.microsoft.com/v1.0';
+// How many times a file upload (or a chunk of it) is attempted when it can be retried.
+const MAX_UPLOAD_ATTEMPTS = 5;
+// Upload session fragments must be a multiple of 320 KiB, and at most 60 MiB.
+const FRAGMENT_UNIT = 320 * 1024;
+const MAX_FRAGMENT_SIZE = 60 * 1024 * 1024;
+
+/**
+ * The outcomes of uploading a file.
+ */
+const UPLOAD_OUTCOMES = Object.freeze({
+  UPLOADED: 'uploaded',
+  SKIPPED_EXISTING: 'skipped-existing',
+  SKIPPED_UNCHANGED: 'skipped-unchanged',
+  FAILED: 'failed',
+});
 
 // Upload report for this invocation.  Global to simplify recursion.
 const uploadReport = {
@@ -26,6 +55,20 @@ const uploadReport = {
   failedList: [],
   failedFolderCreations: 0,
   lockedFiles: 0,
+  uploadedBytes: 0,
+  sessionUploads: 0,
+  skippedExisting: 0,
+  skippedUnchanged: 0,
+  renamed: 0,
+  resumed: 0,
+  orphans: 0,
+  orphanList: [],
+  removedOrphans: 0,
+  failedOrphanList: [],
+  throttled: 0,
+  peakConcurrency: 0,
+  durationMs: 0,
+  filesPerMinute: 0,
 };
 
 // Source structure for this invocation.  Global to simplify recursion.
@@ -34,6 +77,19 @@ const sourceStructure = {
   files: [],
 };
 
+/**
+ * Turn a failed Graph response into an error, with its status and Retry-After.
+ * @param {Response} res
+ * @returns {Promise<Error>}
+ */
+async function toGraphError(res) {
+  const errorText = await res.text();
+  const error = new Error(`Graph API error ${res.status}: ${errorText}`);
+  error.status = res.status;
+  error.retryAfter = res.headers.get('retry-after');
+  return error;
+}
+
 // Sleep function using Promise
 async function sleep(ms) {
   return new Promise((resolve) => {
@@ -60,51 +116,269 @@ async function graphFetch(token, endpoint, initOptions) {
     if (res.status === 423) {
       uploadReport.lockedFiles += 1;
     }
-    const errorText = await res.text();
-    throw new Error(`Graph API error ${res.status}: ${errorText}`);
+    throw await toGraphError(res);
   }
 
   return res.json();
 }
 
 /**
- * Upload 1 file to SharePoint.
+ * Run an operation, retrying it while it fails with a retryable error.  Throttling
+ * slows down the whole upload pool, until the Retry-After has passed.
+ * @param {Object} throttle The throttle of the upload pool.
+ * @param {function(Error): boolean} isRetryable
+ * @param {function(number): Promise<*>} operation Called with the attempt number.
+ * @returns {Promise<*>} The result of the operation.
+ */
+async function withRetries(throttle, isRetryable, operation) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (!isRetryable(error) || attempt === MAX_UPLOAD_ATTEMPTS) {
+        throw error;
+      }
+      const retryAfterMs = getRetryAfterMs(error.retryAfter, attempt);
+      if (THROTTLED_STATUSES.includes(error.status)) {
+        throttle.onThrottle(retryAfterMs);
+        await sleep(throttle.getPause());
+      } else {
+        core.debug(`Retrying in ${retryAfterMs}ms: ${error.message}`);
+        await sleep(retryAfterMs);
+      }
+    }
+  }
+}
+
+const isThrottled = (error) => THROTTLED_STATUSES.includes(error.status);
+// Chunks are also retried on server and network errors (which have no status).
+const isChunkRetryable = (error) => !error.status || error.status >= 500 || isThrottled(error);
+
+/**
+ * Get the offset an upload session expects the next chunk at, to resume it.
+ * @param {string} uploadUrl
+ * @param {number} fallback The offset to use if the session status is not available.
+ * @returns {Promise<number>}
+ */
+async function getNextOffset(uploadUrl, fallback) {
+  try {
+    const res = await fetch(uploadUrl);
+    const { nextExpectedRanges } = await res.json();
+    return nextExpectedRanges?.length > 0 ? parseInt(nextExpectedRanges[0], 10) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Upload 1 file to SharePoint in chunks, through an upload session.  Each chunk is
+ * retried on its own, resuming from the offset the session expects next.
  * @param {string} accessToken SharePoint access token
  * @param {string} driveId Destination root drive id
  * @param {string} folderId Destination folder id within the drive id root
  * @param {Object.<string, string, string>} file The file name, full local and relative
  *                                               target path of the file to be uploaded.
- * @returns {Promise<boolean>} The result of the upload operation.
+ * @param {number} size The size of the file, in bytes.
+ * @param {Object} throttle The throttle of the upload pool.
+ * @param {number} chunkSize The size of the chunks, a multiple of 320 KiB.
+ * @param {string} conflictBehavior The Graph conflict behavior (replace or rename).
+ * @returns {Promise<Object>} The uploaded item.
  */
-async function uploadFile(accessToken, driveId, folderId, file) {
-  const fileStream = fs.createReadStream(file.path);
-  const mimeType = mime.lookup(file.path) || 'application/octet-stream';
+async function uploadFileInSession(
+  accessToken,
+  driveId,
+  folderId,
+  file,
+  size,
+  throttle,
+  chunkSize,
+  conflictBehavior,
+) {
+  const { uploadUrl } = await withRetries(throttle, isThrottled, () => graphFetch(
+    accessToken,
+    `/drives/${driveId}/items/${folderId}:${file.relative}:/createUploadSession`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ item: { '@microsoft.graph.conflictBehavior': conflictBehavior } }),
+    },
+  ));
+
+  const handle = await fs.promises.open(file.path);
+  // The upload url is pre-authenticated, so the chunks are sent without the token.
+  const sendChunk = async (start, attempt) => {
+    const from = attempt > 1 ? await getNextOffset(uploadUrl, start) : start;
+    const length = Math.min(chunkSize, size - from);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, from);
+    const res = await fetch(uploadUrl, {
+      method: 'PUT',
+      headers: {
+        'Content-Length': String(length),
+        'Content-Range': `bytes ${from}-${from + length - 1}/${size}`,
+      },
+      body: buffer,
+    });
+    if (!res.ok) {
+      throw await toGraphError(res);
+    }
+    return res.json();
+  };
 
-  core.debug(`Uploading ${file.path} with mime type ${mimeType}`);
+  try {
+    let offset = 0;
+    let item;
+    while (offset < size) {
+      const start = offset;
+      const result = await withRetries(
+        throttle,
+        isChunkRetryable,
+        (attempt) => sendChunk(start, attempt),
+      );
+      // Until the last chunk, the session tells where it expects the next one.
+      offset = result.nextExpectedRanges?.length > 0
+        ? parseInt(result.nextExpectedRanges[0], 10)
+        : size;
+      item = result;
+      core.info(`⬆️ ${file.relative}: ${(offset / 1048576).toFixed(1)} of ${(size / 1048576).toFixed(1)} MB (${Math.floor((offset / size) * 100)}%)`);
+    }
+    return item;
+  } catch (error) {
+    // Cancel the session, so the partial upload is discarded.
+    await fetch(uploadUrl, { method: 'DELETE' }).catch(() => {});
+    throw error;
+  } finally {
+    await handle.close();
+  }
+}
 
+/**
+ * Get the existing item at the target path of a file: from the inventory of the
+ * mountpoint folder, if there is one, or else from SharePoint.
+ * @param {string} accessToken SharePoint access token
+ * @param {string} driveId Destination root drive id
+ * @param {string} folderId Destination folder id within the drive id root
+ * @param {Object} file The file, with its relative target path.
+ * @param {Object} throttle The throttle of the upload pool.
+ * @param {Map<string, Object>} [inventory] The inventoried files by relative path.
+ * @returns {Promise<{size: number, quickXorHash?: string}|undefined>}
+ */
+async function getExistingItem(accessToken, driveId, folderId, file, throttle, inventory) {
+  if (inventory) {
+    return inventory.get(file.relative);
+  }
   try {
-    await graphFetch(
+    const item = await withRetries(throttle, isThrottled, () => graphFetch(
       accessToken,
-      `/drives/${driveId}/items/${folderId}:${file.relative}:/content`,
-      {
-        method: 'PUT',
-        body: fileStream,
-        headers: {
-          Authorization: `Bearer ${accessToken}`,
-          Accept: 'application/json',
-          'Content-Type': mimeType,
+      `/drives/${driveId}/items/${folderId}:${file.relative}?$select=id,name,size,file`,
+    ));
+    return { size: item.size, quickXorHash: item.file?.hashes?.quickXorHash };
+  } catch (error) {
+    if (error.status === 404) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Upload 1 file to SharePoint: in a single request, or in chunks through an upload
+ * session if it is larger than the threshold.  If the service is throttling, the upload
+ * is retried once the throttle's pause (honouring the Retry-After) is over.  Depending
+ * on the conflict behavior, an existing file is replaced, kept (if it exists, or if it
+ * is unchanged) or the file is uploaded under a new name.
+ * @param {string} accessToken SharePoint access token
+ * @param {string} driveId Destination root drive id
+ * @param {string} folderId Destination folder id within the drive id root
+ * @param {Object.<string, string, string>} file The file name, full local and relative
+ *                                               target path of the file to be uploaded.
+ * @param {Object} throttle The throttle of the upload pool.
+ * @param {Object} uploadOptions The size (in bytes) above which files are uploaded in
+ *        chunks (largeFileThreshold), the size of the chunks (chunkSize), the conflict
+ *        behavior and the inventory of the mountpoint folder, if any.
+ * @returns {Promise<{outcome: string, relative: string}>} The outcome of the upload
+ *          operation (see UPLOAD_OUTCOMES) and the relative target path the file has in
+ *          SharePoint, which differs from the file's when it was renamed.
+ */
+async function uploadFile(accessToken, driveId, folderId, file, throttle, uploadOptions) {
+  const mimeType = mime.lookup(file.path) || 'application/octet-stream';
+  const { size } = fs.statSync(file.path);
+  const inSession = size > uploadOptions.largeFileThreshold;
+  const { conflictBehavior } = uploadOptions;
+  const graphConflictBehavior = conflictBehavior === CONFLICT_BEHAVIORS.RENAME ? 'rename' : 'replace';
+
+  try {
+    if (conflictBehavior === CONFLICT_BEHAVIORS.SKIP_EXISTING
+      || conflictBehavior === CONFLICT_BEHAVIORS.SKIP_UNCHANGED) {
+      const existing = await getExistingItem(
+        accessToken,
+        driveId,
+        folderId,
+        file,
+        throttle,
+        uploadOptions.inventory,
+      );
+      if (existing && conflictBehavior === CONFLICT_BEHAVIORS.SKIP_EXISTING) {
+        core.debug(`Skipping ${file.path}: it exists in SharePoint.`);
+        return { outcome: UPLOAD_OUTCOMES.SKIPPED_EXISTING, relative: file.relative };
+      }
+      if (existing && await isUnchanged(file.path, size, existing)) {
+        core.debug(`Skipping ${file.path}: it is unchanged in SharePoint.`);
+        return { outcome: UPLOAD_OUTCOMES.SKIPPED_UNCHANGED, relative: file.relative };
+      }
+    }
+
+    core.debug(`Uploading ${file.path} with mime type ${mimeType}${inSession ? ' in an upload session' : ''}`);
+    let item;
+    if (inSession) {
+      item = await uploadFileInSession(
+        accessToken,
+        driveId,
+        folderId,
+        file,
+        size,
+        throttle,
+        uploadOptions.chunkSize,
+        graphConflictBehavior,
+      );
+      uploadReport.sessionUploads += 1;
+    } else {
+      item = await withRetries(throttle, isThrottled, () => graphFetch(
+        accessToken,
+        `/drives/${driveId}/items/${folderId}:${file.relative}:/content?@microsoft.graph.conflictBehavior=${graphConflictBehavior}`,
+        {
+          method: 'PUT',
+          body: fs.createReadStream(file.path),
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            Accept: 'application/json',
+            'Content-Type': mimeType,
+          },
+          duplex: 'half', // Required for streaming requests
         },
-        duplex: 'half', // Required for streaming requests
-      },
-    );
+      ));
+    }
 
+    throttle.onSuccess();
+    uploadReport.uploadedBytes += size;
+    if (item?.name && item.name !== file.name) {
+      core.info(`File ${file.path} uploaded as ${item.name}, as ${file.name} exists.`);
+      return {
+        outcome: UPLOAD_OUTCOMES.UPLOADED,
+        relative: path.join(path.dirname(file.relative), item.name),
+      };
+    }
     core.debug(`File ${file.path} uploaded successfully.`);
-    return true;
+    return { outcome: UPLOAD_OUTCOMES.UPLOADED, relative: file.relative };
   } catch (error) {
     core.warning(`Failed to upload file ${file.path}: ${error.message}`);
   }
 
-  return false;
+  return { outcome: UPLOAD_OUTCOMES.FAILED, relative: file.relative };
 }
 
 /**
@@ -115,7 +389,9 @@ async function uploadFile(accessToken, driveId, folderId, file) {
  * @param {Object.<string, string>} sourceFolders The folders to create (name and
  *                                                relative path to the mountpoint)
  * @param {number} delay The delay, in milliseconds between folder creations
- * @returns {Promise<boolean>}
+ * @param {Map<string, string>} [knownFolders] The ids of folders that are known to
+ *                                             exist (i.e. from a checkpoint), by path.
+ * @returns {Promise<Map<string, string>>} The folder ids, by relative path.
  */
 async function createFoldersIfNecessary(
   accessToken,
@@ -123,8 +399,9 @@ async function createFoldersIfNecessary(
   folderId,
   sourceFolders,
   delay,
+  knownFolders = new Map(),
 ) {
-  const folderMap = new Map();
+  const folderMap = new Map(knownFolders);
   folderMap.set('', folderId);
 
   for (const folder of sourceFolders) {
@@ -184,6 +461,8 @@ async function createFoldersIfNecessary(
       }
     }
   }
+
+  return folderMap;
 }
 
 /**
@@ -229,31 +508,142 @@ async function populateSourceStructure(srcFolder, isTopLevel = false) {
 }
 
 /**
- * Upload all the files from a source folder to SharePoint.  For each sub-folder
- * encountered, assume it is created in SharePoint, and upload that folder's
- * contents.
+ * Upload all the files from a source folder to SharePoint, several at a time.
+ * The destination folders are assumed to exist in SharePoint already.
  * @param {string} accessToken SharePoint access token
  * @param {string} driveId Destination root drive id
  * @param {string} folderId Destination folder id within the drive id root
  * @param {Object.<string, string, string>} sourceFiles The file name, full local and
  *                                                      relative target path to each
  *                                                      file to be uploaded.
- * @param {number} delay The delay, in milliseconds
+ * @param {Object} throttle The throttle of the upload pool (see createThrottle).
+ * @param {Object} uploadOptions How to upload the files (see uploadFile).
+ * @param {Object} checkpoint The files completed so far (see createCheckpoint).
  * @returns {Promise<void>}
  */
-async function uploadFiles(accessToken, driveId, folderId, sourceFiles, delay) {
-  for (const item of sourceFiles) {
-    const success = await uploadFile(accessToken, driveId, folderId, item);
-    if (success) {
+async function uploadFiles(
+  accessToken,
+  driveId,
+  folderId,
+  sourceFiles,
+  throttle,
+  uploadOptions,
+  checkpoint,
+) {
+  const recordOutcome = (item, { outcome, relative }) => {
+    if (outcome === UPLOAD_OUTCOMES.UPLOADED) {
       uploadReport.uploads += 1;
-      uploadReport.uploadList.push(item.relative);
+      // A renamed upload is listed by its new name, so it is the one previewed.
+      uploadReport.uploadList.push(relative);
+      if (relative !== item.relative) {
+        uploadReport.renamed += 1;
+      }
+    } else if (outcome === UPLOAD_OUTCOMES.SKIPPED_EXISTING) {
+      uploadReport.skippedExisting += 1;
+    } else if (outcome === UPLOAD_OUTCOMES.SKIPPED_UNCHANGED) {
+      uploadReport.skippedUnchanged += 1;
     } else {
       uploadReport.failures += 1;
       uploadReport.failedList.push(item.path);
     }
+  };
+
+  // The files completed by an earlier attempt are reported as if they were completed
+  // now, so they are previewed and published too.
+  const pendingFiles = sourceFiles.filter((item) => {
+    const completed = checkpoint.getCompleted(item);
+    if (completed) {
+      recordOutcome(item, completed);
+      uploadReport.resumed += 1;
+    }
+    return !completed;
+  });
+  if (uploadReport.resumed > 0) {
+    core.info(`Resuming: ${uploadReport.resumed} files were completed by an earlier attempt.`);
+  }
+  const resumedUploads = uploadReport.uploads;
+
+  const start = Date.now();
+  await runPool(pendingFiles, async (item) => {
+    const result = await uploadFile(
+      accessToken,
+      driveId,
+      folderId,
+      item,
+      throttle,
+      uploadOptions,
+    );
+    recordOutcome(item, result);
+    if (result.outcome !== UPLOAD_OUTCOMES.FAILED) {
+      checkpoint.recordFile(item, result);
+    }
+  }, throttle);
+
+  uploadReport.durationMs = Date.now() - start;
+  uploadReport.throttled = throttle.throttledCount;
+  uploadReport.peakConcurrency = throttle.peakConcurrency;
+  const uploads = uploadReport.uploads - resumedUploads;
+  uploadReport.filesPerMinute = uploadReport.durationMs > 0
+    ? Math.round((uploads / uploadReport.durationMs) * 60000 * 10) / 10
+    : uploads;
+}
+
+/**
+ * Round a chunk size down to a multiple of 320 KiB, within the Graph limits.
+ * @param {number} chunkSizeMb
+ * @returns {number} The chunk size, in bytes.
+ */
+function getChunkSize(chunkSizeMb) {
+  const units = Math.max(Math.floor((chunkSizeMb * 1048576) / FRAGMENT_UNIT), 1);
+  return Math.min(units * FRAGMENT_UNIT, MAX_FRAGMENT_SIZE - (MAX_FRAGMENT_SIZE % FRAGMENT_UNIT));
+}
 
-    await sleep(delay);
+/**
+ * Describe the effective throughput of the uploads.
+ * @returns {string} i.e. '120.5 files/min (1.2 MB/s) over 300s, throttled 2 times'
+ */
+function getThroughput() {
+  const seconds = uploadReport.durationMs / 1000;
+  const megabytesPerSecond = seconds > 0 ? uploadReport.uploadedBytes / 1048576 / seconds : 0;
+  return `${uploadReport.filesPerMinute} files/min (${megabytesPerSecond.toFixed(1)} MB/s) over ${Math.round(seconds)}s, throttled ${uploadReport.throttled} times`;
+}
+
+/**
+ * Mirror the import: find the files of the destination folder that are not part of the
+ * import (i.e. pages removed since the last import), and delete or archive them.
+ * @param {string} accessToken SharePoint access token
+ * @param {string} driveId Destination root drive id
+ * @param {string} folderId Destination folder id within the drive id root
+ * @param {Array<string>} importPaths The relative paths of the imported files.
+ * @param {{archivePath?: string, dryRun: boolean}} mirrorOptions
+ * @returns {Promise<void>}
+ */
+async function mirrorImport(accessToken, driveId, folderId, importPaths, mirrorOptions) {
+  if (importPaths.length === 0) {
+    core.warning('Not mirroring the import: it has no files, so every file would be removed.');
+    return;
   }
+
+  const destinationFiles = await listDestinationFiles(
+    accessToken,
+    driveId,
+    folderId,
+    mirrorOptions.archivePath,
+  );
+  const orphans = findOrphans(destinationFiles, importPaths);
+  uploadReport.orphans = orphans.length;
+  uploadReport.orphanList = orphans.map((orphan) => orphan.path);
+  core.info(`Found ${orphans.length} orphaned files among the ${destinationFiles.length} files in SharePoint.`);
+
+  const { removed, failedList } = await removeOrphans(
+    accessToken,
+    driveId,
+    folderId,
+    orphans,
+    mirrorOptions,
+  );
+  uploadReport.removedOrphans = removed;
+  uploadReport.failedOrphanList = failedList;
 }
 
 /**
@@ -267,11 +657,35 @@ export async function run() {
   const zipContentsPath = core.getInput('zip_contents_path');
   const delayInput = core.getInput('delay');
   const delay = parseInt(delayInput, 10);
+  const concurrency = Math.max(parseInt(core.getInput('concurrency'), 10) || 1, 1);
+  const inventoryPath = core.getInput('inventory_path');
+  const uploadOptions = {
+    largeFileThreshold: (parseFloat(core.getInput('large_file_threshold_mb')) || 4) * 1048576,
+    chunkSize: getChunkSize(parseFloat(core.getInput('chunk_size_mb')) || 10),
+  };
+  const mirror = core.getInput('mirror') === 'true';
+  const importFiltered = core.getInput('import_filtered') === 'true';
+  const mirrorOptions = {
+    archivePath: core.getInput('mirror_archive_path').trim(),
+    dryRun: core.getInput('mirror_dry_run') === 'true',
+  };
   const docsDir = `${zipContentsPath}/docx`;
+  const checkpoint = createCheckpoint(core.getInput('checkpoint_path'), driveId, folderId);
 
-  core.info(`Upload files from ${docsDir} with a delay of ${delay} milliseconds between uploads.`);
+  core.info(`Upload files from ${docsDir}, up to ${concurrency} at a time, with an initial delay of ${delay} milliseconds between uploads.`);
 
   try {
+    uploadOptions.conflictBehavior = getConflictBehavior(core.getInput('conflict_behavior'));
+    if (inventoryPath && uploadOptions.conflictBehavior !== CONFLICT_BEHAVIORS.REPLACE
+      && uploadOptions.conflictBehavior !== CONFLICT_BEHAVIORS.RENAME) {
+      uploadOptions.inventory = readInventory(inventoryPath);
+      core.info(`Comparing with the ${uploadOptions.inventory.size} files of the inventory ${inventoryPath}.`);
+    }
+    core.info(`Existing files: ${uploadOptions.conflictBehavior}.`);
+    if (mirror && uploadOptions.conflictBehavior === CONFLICT_BEHAVIORS.RENAME) {
+      throw new Error('Mirror mode cannot be used with the rename conflict behavior, as it would remove the renamed files.');
+    }
+
     if (!fs.existsSync(docsDir)) {
       throw new Error(`Directory ${docsDir} was not found and no files were uploaded. Check zip contents and ensure it contains valid content.`);
     }
@@ -281,7 +695,7 @@ export async function run() {
 
     // Now create the folder structure in SharePoint, if necessary.
     core.info(`Creating ${JSON.stringify(sourceStructure.folders.length)} folders, if necessary.`);
-    await createFoldersIfNecessary(
+    const folderMap = await createFoldersIfNecessary(
       accessToken,
       driveId,
       folderId,
@@ -290,35 +704,71 @@ export async function run() {
         path: folder.path.replace(docsDir, ''),
       })),
       delay,
+      checkpoint.folders,
     );
+    checkpoint.recordFolders(folderMap);
 
     // Now upload each file, knowing the destination folders already exist.
-    core.info(`Uploading ${sourceStructure.files.length} files.`);
+    const sourceFiles = sourceStructure.files.map((nextFile) => ({
+      name: nextFile.name,
+      path: nextFile.path,
+      relative: nextFile.path.replace(docsDir, ''),
+    }));
+    core.info(`Uploading ${sourceFiles.length} files.`);
     await uploadFiles(
       accessToken,
       driveId,
       folderId,
-      sourceStructure.files.map((nextFile) => ({
-        name: nextFile.name,
-        path: nextFile.path,
-        relative: nextFile.path.replace(docsDir, ''),
-      })),
-      delay,
+      sourceFiles,
+      createThrottle(concurrency, delay),
+      uploadOptions,
+      checkpoint,
     );
+    core.info(`Upload throughput: ${getThroughput()}.`);
+
+    if (mirror && uploadReport.failures > 0) {
+      core.warning('Not mirroring the import, as some uploads failed.');
+    } else if (mirror) {
+      // The files left out of a filtered import are not orphans, so only list them.
+      if (importFiltered && !mirrorOptions.dryRun) {
+        core.warning('The import was filtered (i.e. by include or exclude globs), so mirroring is a dry run: the files outside of it are listed, not removed.');
+        mirrorOptions.dryRun = true;
+      }
+      core.info(`Mirroring the import${mirrorOptions.dryRun ? ' (dry run)' : ''}.`);
+      await mirrorImport(
+        accessToken,
+        driveId,
+        folderId,
+        sourceFiles.map((file) => file.relative),
+        mirrorOptions,
+      );
+    }
 
     if (uploadReport.failures > 0 || uploadReport.failedList.length > 0) {
       core.setOutput('error_message', '❌ Upload Error: Some uploads failed. Check the workflow for more details.');
+    } else if (uploadReport.failedOrphanList.length > 0) {
+      core.setOutput('error_message', '❌ Upload Error: Some orphaned files could not be removed. Check the workflow for more details.');
     }
   } catch (error) {
     core.warning(`Failed to upload the files: ${error.message}`);
     core.setOutput('error_message', `❌ Upload Error: ${error.message}`);
   } finally {
+    checkpoint.save(true);
     core.info(`Upload report: ${JSON.stringify(uploadReport)}`);
     core.setOutput('upload_successes', String(uploadReport.uploads));
     core.setOutput('upload_list', String(uploadReport.uploadList.join(', ')));
     core.setOutput('upload_failures', String(uploadReport.failures));
     core.setOutput('upload_failed_list', uploadReport.failedList.join(', '));
     core.setOutput('upload_failed_locked', String(uploadReport.lockedFiles));
+    core.setOutput('upload_throughput', getThroughput());
+    core.setOutput('upload_skipped_existing', String(uploadReport.skippedExisting));
+    core.setOutput('upload_skipped_unchanged', String(uploadReport.skippedUnchanged));
+    core.setOutput('upload_renamed', String(uploadReport.renamed));
+    core.setOutput('upload_resumed', String(uploadReport.resumed));
+    core.setOutput('mirror_orphans', String(uploadReport.orphans));
+    core.setOutput('mirror_orphan_list', uploadReport.orphanList.join(', '));
+    core.setOutput('mirror_removed', String(uploadReport.removedOrphans));
+    core.setOutput('mirror_failed_list', uploadReport.failedOrphanList.join(', '));
   }
 }
 
@@ -0,0 +1,133 @@
+/*
+ * Copyright 2025 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import core from '@actions/core';
+
+// The Graph responses that mean the service is throttling or overloaded.
+export const THROTTLED_STATUSES = [429, 503];
+// Never wait longer than this between uploads, however often the service throttles.
+const MAX_DELAY = 10000;
+// The delay to start with once throttled, if uploads were not delayed.
+const MIN_THROTTLED_DELAY = 250;
+// Never wait longer than this for a Retry-After.
+const MAX_RETRY_AFTER = 120000;
+
+async function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Get how long to wait before retrying a throttled request: its Retry-After (in seconds
+ * or as a date), or an exponential backoff if it has none.
+ * @param {string|null} retryAfter The Retry-After header.
+ * @param {number} attempt The number of attempts so far.
+ * @returns {number} The milliseconds to wait.
+ */
+export function getRetryAfterMs(retryAfter, attempt) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (!Number.isNaN(ms)) {
+      return Math.min(Math.max(ms, 0), MAX_RETRY_AFTER);
+    }
+  }
+  return Math.min(1000 * (2 ** attempt), MAX_RETRY_AFTER);
+}
+
+/**
+ * Create the throttle of an upload pool: how many uploads run at once and how long to
+ * wait between starting them.  When throttled, it halves the concurrency, doubles the
+ * delay and pauses until the Retry-After has passed.  After a streak of successes, it
+ * speeds up again: halving the delay first, then adding one concurrent upload at a time.
+ * @param {number} maxConcurrency The maximum number of concurrent uploads.
+ * @param {number} delay The initial delay, in milliseconds, between starting uploads.
+ * @returns {Object}
+ */
+export function createThrottle(maxConcurrency, delay) {
+  const throttle = {
+    concurrency: Math.max(1, Math.ceil(maxConcurrency / 2)),
+    delay,
+    pausedUntil: 0,
+    successStreak: 0,
+    throttledCount: 0,
+    peakConcurrency: 0,
+
+    /**
+     * @returns {number} The milliseconds left to pause, 0 if not paused.
+     */
+    getPause() {
+      return Math.max(throttle.pausedUntil - Date.now(), 0);
+    },
+
+    onSuccess() {
+      throttle.successStreak += 1;
+      if (throttle.successStreak < Math.max(throttle.concurrency * 2, 4)) {
+        return;
+      }
+      throttle.successStreak = 0;
+      if (throttle.delay > 0) {
+        throttle.delay = throttle.delay < 50 ? 0 : Math.floor(throttle.delay / 2);
+        core.debug(`Speeding up: delay is now ${throttle.delay}ms.`);
+      } else if (throttle.concurrency < maxConcurrency) {
+        throttle.concurrency += 1;
+        core.debug(`Speeding up: concurrency is now ${throttle.concurrency}.`);
+      }
+    },
+
+    /**
+     * @param {number} retryAfterMs How long the service asked to wait.
+     */
+    onThrottle(retryAfterMs) {
+      throttle.throttledCount += 1;
+      throttle.successStreak = 0;
+      // Uploads that were already running when the service started throttling
+      // should not slow down the pool again.
+      if (throttle.getPause() === 0) {
+        throttle.concurrency = Math.max(1, Math.floor(throttle.concurrency / 2));
+        throttle.delay = Math.min(Math.max(throttle.delay * 2, MIN_THROTTLED_DELAY), MAX_DELAY);
+        core.info(`Throttled: pausing for ${retryAfterMs}ms, then uploading ${throttle.concurrency} at a time with a delay of ${throttle.delay}ms.`);
+      }
+      throttle.pausedUntil = Math.max(throttle.pausedUntil, Date.now() + retryAfterMs);
+    },
+  };
+  return throttle;
+}
+
+/**
+ * Run a worker on each item, with as many running at once as the throttle allows.
+ * @param {Array<*>} items
+ * @param {function(*): Promise<void>} worker Must not reject.
+ * @param {Object} throttle See createThrottle.
+ * @returns {Promise<void>}
+ */
+export async function runPool(items, worker, throttle) {
+  const queue = [...items];
+  const running = new Set();
+
+  while (queue.length > 0 || running.size > 0) {
+    const pause = throttle.getPause();
+    if (queue.length > 0 && running.size < throttle.concurrency && pause === 0) {
+      const task = worker(queue.shift()).finally(() => running.delete(task));
+      running.add(task);
+      throttle.peakConcurrency = Math.max(throttle.peakConcurrency, running.size);
+      if (throttle.delay > 0) {
+        await sleep(throttle.delay);
+      }
+    } else if (queue.length > 0 && running.size < throttle.concurrency) {
+      await Promise.race([sleep(pause), ...running]);
+    } else {
+      await Promise.race(running);
+    }
+  }
+}